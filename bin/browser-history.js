@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Command line interface to collect history, bookmarks, downloads and profiles without
+ * writing a Node script, e.g.
+ *   browser-history history --browser chrome --since 7d --format csv --output history.csv
+ */
+
+const fs = require("fs");
+const path = require("path");
+const browserHistory = require("../index");
+
+const COMMANDS = {
+    history: {
+        type: "history",
+        description: "visited pages with their last visit time",
+        run: options => browserHistory.getHistory(options),
+    },
+    bookmarks: {
+        type: "bookmarks",
+        description: "bookmarks with their folders",
+        run: options => browserHistory.getBookmarks(options),
+    },
+    downloads: {
+        type: "downloads",
+        description: "downloaded files",
+        run: options => browserHistory.getDownloads(options),
+    },
+    profiles: {
+        type: "profiles",
+        description: "browser profiles",
+        run: async options => ({ records: await browserHistory.listProfiles(options), sources: [] }),
+    },
+};
+
+const FORMATS = ["json"].concat(browserHistory.EXPORT_FORMATS);
+
+const USAGE = `Usage: browser-history <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(12)}${command.description}`).join("\n")}
+
+Options:
+  -b, --browser <name>       browser name or key, e.g. chrome or "Mozilla Firefox". Repeatable,
+                             defaults to all supported browsers
+  -p, --profile <profile>    profile id, name, directory name or path. Repeatable,
+                             defaults to every profile
+      --path <browser=dir>   look for the profiles of a browser in dir instead of its default
+                             locations. Repeatable
+      --since <time>         start of the time range: a date, epoch milliseconds or a duration
+                             before now such as 30m, 12h, 7d or 2w. Inclusive
+      --until <time>         end of the time range, same forms as --since. Exclusive
+      --include-non-http     also list Firefox bookmarks of file:, place: and javascript: urls
+      --db-access <mode>     copy, readOnly or immutable: read the history databases from a copy,
+                             the default, or in place. readOnly copies the ones that are locked
+  -f, --format <format>      ${FORMATS.join(", ")}. Defaults to json
+  -o, --output <file>        write to the file instead of standard output
+  -h, --help                 show this help
+  -v, --version              show the version
+`;
+
+// Milliseconds per unit of the durations accepted by --since and --until
+const DURATION_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Turns a --since or --until value into what the library accepts. Durations such as 7d count
+ * back from now, numbers are epoch milliseconds and anything else is left to be parsed as a date.
+ * @param value
+ * @returns {number|string}
+ */
+function parseTime(value) {
+    const duration = value.match(/^(\d+)([mhdw])$/);
+    if (duration) {
+        return Date.now() - Number(duration[1]) * DURATION_UNITS[duration[2]];
+    }
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Parses the command line arguments
+ * @param args arguments after the node executable and script
+ * @returns {{command: string, options: Object, format: string, output: string, help: boolean, version: boolean}}
+ */
+function parseArgs(args) {
+    let parsed = { command: null, options: {}, format: "json", output: null, help: false, version: false };
+    // --flag=value is the same as --flag value
+    args = args.reduce((expanded, arg) => {
+        const inlineValue = arg.match(/^(--[^=]+)=([\s\S]*)$/);
+        return expanded.concat(inlineValue ? [inlineValue[1], inlineValue[2]] : [arg]);
+    }, []);
+    let i = 0;
+
+    const valueOf = flag => {
+        if (i + 1 >= args.length) {
+            throw new Error(`${flag} needs a value`);
+        }
+        return args[++i];
+    };
+    const append = (key, value) => {
+        parsed.options[key] = (parsed.options[key] || []).concat(value);
+    };
+
+    for (; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case "-b":
+            case "--browser":
+                append("browsers", valueOf(arg).split(",").map(browser => browser.trim()).filter(browser => browser !== ""));
+                break;
+            case "-p":
+            case "--profile":
+                append("profiles", valueOf(arg));
+                break;
+            case "--path": {
+                const value = valueOf(arg);
+                const separator = value.indexOf("=");
+                if (separator <= 0) {
+                    throw new Error("--path needs a browser and a directory, e.g. --path chrome=/backup/chrome");
+                }
+                parsed.options.paths = parsed.options.paths || {};
+                const browser = value.slice(0, separator);
+                parsed.options.paths[browser] = (parsed.options.paths[browser] || []).concat(path.resolve(value.slice(separator + 1)));
+                break;
+            }
+            case "--since":
+                parsed.options.since = parseTime(valueOf(arg));
+                break;
+            case "--until":
+                parsed.options.until = parseTime(valueOf(arg));
+                break;
+            case "--include-non-http":
+                parsed.options.includeNonHttp = true;
+                break;
+            case "--db-access":
+                parsed.options.dbAccess = valueOf(arg);
+                break;
+            case "-f":
+            case "--format":
+                parsed.format = valueOf(arg);
+                break;
+            case "-o":
+            case "--output":
+                parsed.output = valueOf(arg);
+                break;
+            case "-h":
+            case "--help":
+                parsed.help = true;
+                break;
+            case "-v":
+            case "--version":
+                parsed.version = true;
+                break;
+            default:
+                if (arg.startsWith("-") || parsed.command) {
+                    throw new Error(`Unknown argument: ${arg}`);
+                }
+                parsed.command = arg;
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Writes the records in the requested format to the output file or standard output
+ * @param records
+ * @param type
+ * @param format
+ * @param output
+ * @returns {Promise<void>}
+ */
+async function writeRecords(records, type, format, output) {
+    if (format === "json") {
+        const json = JSON.stringify(records, null, 2) + "\n";
+        if (output) {
+            fs.writeFileSync(output, json);
+        } else {
+            process.stdout.write(json);
+        }
+        return;
+    }
+    if (format === "sqlite" && !output) {
+        throw new Error("The sqlite format needs an --output file");
+    }
+    if (output) {
+        await browserHistory.exportRecords(records, { format, type, path: output });
+    } else {
+        await browserHistory.exportRecords(records, { format, type, output: process.stdout });
+    }
+}
+
+async function main(args) {
+    const parsed = parseArgs(args);
+    if (parsed.version) {
+        process.stdout.write(require("../package.json").version + "\n");
+        return;
+    }
+    if (parsed.help || !parsed.command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    const command = COMMANDS[parsed.command];
+    if (!command) {
+        throw new Error(`Unknown command: ${parsed.command}\n\n${USAGE}`);
+    }
+    if (!FORMATS.includes(parsed.format)) {
+        throw new Error(`Unknown format: ${parsed.format}, expected one of ${FORMATS.join(", ")}`);
+    }
+
+    const result = await command.run(parsed.options);
+    // Profiles that could not be read are reported, the records of the others are still written
+    for (const source of result.sources) {
+        if (source.status === "error") {
+            process.stderr.write(`browser-history: skipped ${source.browser} ${source.profile || source.path}: ${source.error.message}\n`);
+        }
+    }
+    await writeRecords(result.records, command.type, parsed.format, parsed.output);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    process.stderr.write(`browser-history: ${error.message}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,136 @@
+/**
+ * Parser for Apple's binary property list format (bplist00), used by Safari's Bookmarks.plist.
+ * Dictionaries become objects, arrays and sets arrays, dates Date objects, data Buffers
+ * and UIDs { UID: number }.
+ */
+
+const { CorruptError } = require("./errors");
+
+// Seconds between the unix epoch and 2001-01-01, the epoch of plist dates
+const PLIST_EPOCH_OFFSET_S = 978307200;
+const MAGIC = "bplist00";
+const TRAILER_SIZE = 32;
+
+/**
+ * Reads a big endian unsigned integer of any size up to 8 bytes
+ * @param buffer
+ * @param offset
+ * @param size
+ * @returns {number}
+ */
+function readUInt(buffer, offset, size) {
+    let value = 0;
+    for (let i = 0; i < size; i++) {
+        value = value * 256 + buffer[offset + i];
+    }
+    return value;
+}
+
+/**
+ * Parses a binary property list
+ * @param buffer contents of the .plist file
+ * @returns {*} the top level object
+ */
+function parseBinaryPlist(buffer) {
+    if (buffer.length < MAGIC.length + TRAILER_SIZE || buffer.toString('ascii', 0, MAGIC.length) !== MAGIC) {
+        throw new CorruptError('Not a binary property list');
+    }
+    const trailer = buffer.length - TRAILER_SIZE;
+    const offsetSize = buffer[trailer + 6];
+    const objectRefSize = buffer[trailer + 7];
+    const numObjects = readUInt(buffer, trailer + 8, 8);
+    const topObject = readUInt(buffer, trailer + 16, 8);
+    const offsetTableOffset = readUInt(buffer, trailer + 24, 8);
+
+    const offsetOf = index => {
+        if (index >= numObjects) {
+            throw new CorruptError(`Binary property list object ${index} is out of range`);
+        }
+        return readUInt(buffer, offsetTableOffset + index * offsetSize, offsetSize);
+    };
+
+    // Returns the length of an object and where its contents start. Lengths of 15 and
+    // more are stored as an integer object following the marker.
+    const readLength = (offset, info) => {
+        if (info !== 0xF) {
+            return { length: info, start: offset + 1 };
+        }
+        const intSize = 1 << (buffer[offset + 1] & 0xF);
+        return { length: readUInt(buffer, offset + 2, intSize), start: offset + 2 + intSize };
+    };
+
+    const parseObject = (index, depth) => {
+        if (depth > 512) {
+            throw new CorruptError('Binary property list is nested too deeply');
+        }
+        const offset = offsetOf(index);
+        const marker = buffer[offset];
+        const type = marker >> 4;
+        const info = marker & 0xF;
+
+        switch (type) {
+            case 0x0:
+                if (info === 0x8) return false;
+                if (info === 0x9) return true;
+                return null;
+            case 0x1: {
+                const size = 1 << info;
+                if (size === 8) {
+                    return Number(buffer.readBigInt64BE(offset + 1));
+                }
+                return readUInt(buffer, offset + 1, size);
+            }
+            case 0x2:
+                return info === 2 ? buffer.readFloatBE(offset + 1) : buffer.readDoubleBE(offset + 1);
+            case 0x3:
+                return new Date((buffer.readDoubleBE(offset + 1) + PLIST_EPOCH_OFFSET_S) * 1000);
+            case 0x4: {
+                const { length, start } = readLength(offset, info);
+                return buffer.slice(start, start + length);
+            }
+            case 0x5: {
+                const { length, start } = readLength(offset, info);
+                return buffer.toString('ascii', start, start + length);
+            }
+            case 0x6: {
+                // UTF-16 big endian, node only decodes little endian
+                const { length, start } = readLength(offset, info);
+                const chars = Buffer.from(buffer.slice(start, start + length * 2));
+                return chars.swap16().toString('utf16le');
+            }
+            case 0x7: {
+                const { length, start } = readLength(offset, info);
+                return buffer.toString('utf8', start, start + length);
+            }
+            case 0x8:
+                return { UID: readUInt(buffer, offset + 1, info + 1) };
+            case 0xA:
+            case 0xC: {
+                const { length, start } = readLength(offset, info);
+                let items = [];
+                for (let i = 0; i < length; i++) {
+                    items.push(parseObject(readUInt(buffer, start + i * objectRefSize, objectRefSize), depth + 1));
+                }
+                return items;
+            }
+            case 0xD: {
+                const { length, start } = readLength(offset, info);
+                let dict = {};
+                for (let i = 0; i < length; i++) {
+                    const key = parseObject(readUInt(buffer, start + i * objectRefSize, objectRefSize), depth + 1);
+                    const valueRef = readUInt(buffer, start + (length + i) * objectRefSize, objectRefSize);
+                    dict[key] = parseObject(valueRef, depth + 1);
+                }
+                return dict;
+            }
+            default:
+                throw new CorruptError(`Unsupported binary property list object type 0x${type.toString(16)}`);
+        }
+    };
+
+    return parseObject(topObject, 0);
+}
+
+module.exports = {
+    parseBinaryPlist
+};
@@ -1,8 +1,12 @@
 const Path =  require('path')
 const fs = require("fs");
-const { setupDefaultPaths: setupPaths } = require('./history_paths');
+const {
+    PACKAGING, PLATFORMS, appDataPath, applicationSupportPath, homePath, snapPath, flatpakPath, toLocations
+} = require('./history_paths');
+const { findChromiumProfiles, findMozillaProfiles } = require('./profiles');
 
 const CHROME = "Google Chrome",
+    CHROMIUM = "Chromium",
     FIREFOX = "Mozilla Firefox",
     TORCH = "Torch",
     OPERA = "Opera",
@@ -11,23 +15,142 @@ const CHROME = "Google Chrome",
     MAXTHON = "Maxthon",
     EDGE = "Microsoft Edge",
     BRAVE = "Brave",
-    AVAST = "AVAST Browser";
-
-let browserDbLocations = {
-    chrome: "",
-    firefox: "",
-    opera: "",
-    edge: "",
-    torch: "",
-    seamonkey: "",
-    vivaldi: "",
-    maxthon: "",
-    brave: "",
-    avast: ""
+    AVAST = "AVAST Browser",
+    SAFARI = "Safari",
+    OPERA_GX = "Opera GX",
+    YANDEX = "Yandex Browser",
+    ARC = "Arc",
+    THORIUM = "Thorium",
+    EPIC = "Epic Privacy Browser",
+    WATERFOX = "Waterfox",
+    LIBREWOLF = "LibreWolf",
+    FLOORP = "Floorp",
+    ZEN = "Zen Browser";
+
+// The database formats the supported browsers are built on
+const ENGINES = {
+    CHROMIUM: "chromium",
+    MOZILLA: "mozilla",
+    MAXTHON: "maxthon",
+    SAFARI: "safari"
+};
+
+// Files each engine keeps the history and bookmarks of a profile in
+const ENGINE_FILES = {
+    [ENGINES.CHROMIUM]: { history: "History", bookmarks: "Bookmarks" },
+    // Firefox stores bookmarks in the same places.sqlite file as history
+    [ENGINES.MOZILLA]: { history: "places.sqlite", bookmarks: "places.sqlite" },
+    [ENGINES.MAXTHON]: { history: "History.dat", bookmarks: null },
+    // Safari stores bookmarks in a binary property list
+    [ENGINES.SAFARI]: { history: "History.db", bookmarks: "Bookmarks.plist" }
 };
 
+// Registered browsers keyed by their id, in the order they were registered
+const registry = new Map();
 
-let defaultPaths = setupPaths();
+// Kept up to date by registerBrowser for code that reads them directly
+let browserDbLocations = {};
+let defaultPaths = {};
+let sandboxPaths = {};
+
+/**
+ * Maps each browser name to the key it uses in defaultPaths and browserDbLocations.
+ */
+const browserKeys = {};
+
+/**
+ * Adds a browser to the browsers every function discovers profiles of and reads records from,
+ * e.g. an in-house build of Chromium. The browser is read the way the other browsers of its
+ * engine are. An id that is already registered is rejected unless replace is set.
+ * @param browser
+ * @param browser.id key of the browser, used in the browsers and paths options, e.g. "chrome"
+ * @param browser.displayName name of the browser in records and profiles, e.g. "Google Chrome"
+ * @param browser.engine one of ENGINES
+ * @param browser.paths directories the browser keeps its profiles in, keyed by platform ("linux",
+ *                      "darwin" or "win32"). A directory or an array of directories, Snap and Flatpak
+ *                      locations are given as { packaging, path }. At least one platform needs a directory
+ * @param browser.replace replace the browser registered with the same id, e.g. to read Chrome from other directories
+ * @returns {Object} the registered browser
+ */
+function registerBrowser(browser = {}) {
+    const { id, displayName, engine, paths, replace = false } = browser;
+    if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/.test(id)) {
+        throw new TypeError(`Invalid browser id: ${id}, expected lower case letters, digits, ".", "_" or "-"`);
+    }
+    if (registry.has(id) && !replace) {
+        throw new TypeError(`Browser ${id} is already registered, pass replace: true to replace it`);
+    }
+    if (typeof displayName !== 'string' || displayName.trim() === '') {
+        throw new TypeError(`Browser ${id} needs a displayName`);
+    }
+    if (!Object.values(ENGINES).includes(engine)) {
+        throw new TypeError(`Unsupported engine for browser ${id}: ${engine}, expected one of ${Object.values(ENGINES).join(', ')}`);
+    }
+    if (browserKeys[displayName] && browserKeys[displayName] !== id) {
+        throw new TypeError(`Browser ${browserKeys[displayName]} is already registered as ${displayName}`);
+    }
+    if (!paths || typeof paths !== 'object') {
+        throw new TypeError(`Browser ${id} needs paths, keyed by platform: ${PLATFORMS.join(', ')}`);
+    }
+    let locations = {};
+    for (const platform of PLATFORMS) {
+        locations[platform] = toLocations(paths[platform]);
+        if (locations[platform].some(location => typeof location.path !== 'string' || location.path === '')) {
+            throw new TypeError(`Invalid ${platform} path for browser ${id}`);
+        }
+    }
+    if (PLATFORMS.every(platform => locations[platform].length === 0)) {
+        throw new TypeError(`Browser ${id} needs a directory for at least one of ${PLATFORMS.join(', ')}`);
+    }
+
+    const previous = registry.get(id);
+    if (previous) {
+        delete browserKeys[previous.displayName];
+    }
+    const registered = { id, displayName, engine, paths: locations };
+    registry.set(id, registered);
+    browserKeys[displayName] = id;
+
+    const platformLocations = locations[process.platform] || [];
+    const nativeLocation = platformLocations.find(location => location.packaging === PACKAGING.NATIVE);
+    const sandboxLocations = platformLocations.filter(location => location.packaging !== PACKAGING.NATIVE);
+    delete defaultPaths[id];
+    delete sandboxPaths[id];
+    if (nativeLocation) {
+        defaultPaths[id] = nativeLocation.path;
+    }
+    if (sandboxLocations.length > 0) {
+        sandboxPaths[id] = sandboxLocations;
+    }
+    if (browserDbLocations[id] === undefined) {
+        browserDbLocations[id] = "";
+    }
+    return registered;
+}
+
+/**
+ * Returns the registered browser of a browser name or key, or undefined
+ * @param browser
+ * @returns {Object|undefined}
+ */
+function getBrowser(browser) {
+    const browserName = resolveBrowserName(browser);
+    return browserName ? registry.get(browserKeys[browserName]) : undefined;
+}
+
+/**
+ * Resolves a browser name or key, e.g. "Google Chrome" or "chrome", to the browser name.
+ * Returns undefined for browsers that are not supported.
+ * @param browser
+ * @returns {String|undefined}
+ */
+function resolveBrowserName(browser) {
+    if (browserKeys[browser]) {
+        return browser;
+    }
+    const key = String(browser).toLowerCase();
+    return Object.keys(browserKeys).find(browserName => browserKeys[browserName] === key);
+}
 
 /**
  * Find all files recursively in specific folder with specific extension, e.g:
@@ -73,23 +196,111 @@ function findFilesInDir(startPath, filter, targetFile, depth = 0) {
  * @returns {Array}
  */
 function findPaths(path, browserName) {
-    switch (browserName) {
-        case FIREFOX:
-        case SEAMONKEY:
-            return findFilesInDir(path, ".sqlite", Path.sep + 'places.sqlite');
-        case CHROME:
-        case TORCH:
-        case OPERA:
-        case BRAVE:
-        case VIVALDI:
-        case EDGE:
-        case AVAST:
-            return findFilesInDir(path, "History", Path.sep + 'History');
-        case MAXTHON:
-            return findFilesInDir(path, ".dat", Path.sep + 'History.dat');
-        default:
-            return [];
+    const files = ENGINE_FILES[getBrowserEngine(browserName)];
+    if (!files) {
+        return [];
     }
+    return findFilesInDir(path, Path.extname(files.history) || files.history, Path.sep + files.history);
+}
+
+/**
+ * Returns the engine whose database formats the browser uses
+ * @param browserName
+ * @returns {String|undefined}
+ */
+function getBrowserEngine(browserName) {
+    const browser = registry.get(browserKeys[browserName]);
+    return browser ? browser.engine : undefined;
+}
+
+/**
+ * Describes the profile a DB file found by findPaths belongs to. Used when the browser
+ * has no Local State or profiles.ini to list its profiles.
+ * @param dbPath
+ * @param engine
+ * @returns {Object}
+ */
+function profileFromDbPath(dbPath, engine) {
+    const profilePath = Path.dirname(dbPath);
+    const bookmarksFile = ENGINE_FILES[engine] && ENGINE_FILES[engine].bookmarks;
+    const bookmarksPath = bookmarksFile ? Path.join(profilePath, bookmarksFile) : dbPath;
+    return {
+        directory: Path.basename(profilePath),
+        name: Path.basename(profilePath),
+        path: profilePath,
+        account: null,
+        account_name: null,
+        isDefault: false,
+        historyPath: dbPath,
+        bookmarksPath: fs.existsSync(bookmarksPath) ? bookmarksPath : null,
+    };
+}
+
+/**
+ * Lists the profiles of a browser in its default location and in every known sandbox
+ * location (Snap, Flatpak). Chromium-based browsers are read from their Local State file,
+ * Mozilla-based browsers from profiles.ini. Browsers without either are searched for DB files.
+ * The default locations can be replaced with other directories, e.g. to read a copied profile.
+ * @param browserName
+ * @param rootPaths directories to look in instead of the default locations
+ * @returns {Array} [{ id, browser, engine, packaging, directory, name, path, account, account_name, isDefault, historyPath, bookmarksPath }]
+ */
+function findProfiles(browserName, rootPaths) {
+    const browser = registry.get(browserKeys[browserName]);
+    if (!browser) {
+        return [];
+    }
+    const browserKey = browser.id;
+    const engine = browser.engine;
+    const roots = rootPaths
+        ? toLocations(rootPaths)
+        : browser.paths[process.platform] || [];
+    let profiles = [];
+    for (const root of roots) {
+        let found = null;
+        if (engine === ENGINES.CHROMIUM) {
+            found = findChromiumProfiles(root.path);
+        } else if (engine === ENGINES.MOZILLA) {
+            found = findMozillaProfiles(root.path);
+        }
+        if (found === null) {
+            found = findPaths(root.path, browserName).map(dbPath => profileFromDbPath(dbPath, engine));
+        }
+        for (const profile of found) {
+            if (profiles.some(known => known.path === profile.path)) {
+                continue;
+            }
+            profiles.push(Object.assign({
+                id: [browserKey, root.packaging, profile.directory].join(':'),
+                browser: browserName,
+                engine: engine,
+                packaging: root.packaging,
+            }, profile));
+        }
+    }
+    return profiles;
+}
+
+/**
+ * Finds the browser's history DB files, one per profile, in its default location and in every
+ * known sandbox location (Snap, Flatpak). Each DB file is tagged with how the browser was
+ * packaged and the profile it belongs to.
+ * @param browserName
+ * @returns {Array} e.g. [{ path: ".../places.sqlite", packaging: "snap", profile: {...} }]
+ */
+function findDatabases(browserName) {
+    return findProfiles(browserName)
+        .filter(profile => profile.historyPath)
+        .map(profile => ({ path: profile.historyPath, packaging: profile.packaging, profile: profile }));
+}
+
+/**
+ * Same as findDatabases but only returns the paths
+ * @param browserName
+ * @returns {Array}
+ */
+function findDatabasePaths(browserName) {
+    return findDatabases(browserName).map(database => database.path);
 }
 
 /**
@@ -99,31 +310,279 @@ function findPaths(path, browserName) {
  * @returns {Array}
  */
 function findBookmarkPaths(path, browserName) {
-    switch (browserName) {
-        case FIREFOX:
-        case SEAMONKEY:
-            // Firefox stores bookmarks in the same places.sqlite file as history
-            return findFilesInDir(path, ".sqlite", Path.sep + 'places.sqlite');
-        case CHROME:
-        case TORCH:
-        case OPERA:
-        case BRAVE:
-        case VIVALDI:
-        case EDGE:
-        case AVAST:
-            // Chrome-based browsers store bookmarks in JSON format
-            return findFilesInDir(path, "Bookmarks", Path.sep + 'Bookmarks');
-        default:
-            return [];
+    const files = ENGINE_FILES[getBrowserEngine(browserName)];
+    if (!files || !files.bookmarks) {
+        return [];
     }
+    return findFilesInDir(path, Path.extname(files.bookmarks) || files.bookmarks, Path.sep + files.bookmarks);
 }
 
+// The browsers supported out of the box. Torch, Maxthon, AVAST Browser, Opera GX, Arc and Epic
+// are not available for Linux
+registerBrowser({
+    id: "chrome",
+    displayName: CHROME,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Local", "Google", "Chrome"),
+        darwin: applicationSupportPath("Google", "Chrome"),
+        linux: [
+            homePath(".config", "google-chrome"),
+            flatpakPath("com.google.Chrome", "config", "google-chrome")
+        ]
+    }
+});
+registerBrowser({
+    id: "chromium",
+    displayName: CHROMIUM,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Local", "Chromium", "User Data"),
+        darwin: applicationSupportPath("Chromium"),
+        linux: [
+            homePath(".config", "chromium"),
+            snapPath("chromium", "common", "chromium"),
+            // Older chromium snaps kept the profile in the revision directory
+            snapPath("chromium", "current", ".config", "chromium"),
+            flatpakPath("org.chromium.Chromium", "config", "chromium")
+        ]
+    }
+});
+registerBrowser({
+    id: "firefox",
+    displayName: FIREFOX,
+    engine: ENGINES.MOZILLA,
+    paths: {
+        win32: appDataPath("Roaming", "Mozilla", "Firefox"),
+        darwin: applicationSupportPath("Firefox"),
+        linux: [
+            homePath(".mozilla", "firefox"),
+            snapPath("firefox", "common", ".mozilla", "firefox"),
+            flatpakPath("org.mozilla.firefox", ".mozilla", "firefox")
+        ]
+    }
+});
+registerBrowser({
+    id: "torch",
+    displayName: TORCH,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Local", "Torch", "User Data")
+    }
+});
+registerBrowser({
+    id: "opera",
+    displayName: OPERA,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        // Opera GX keeps its data directory next to Opera's
+        win32: appDataPath("Roaming", "Opera Software", "Opera Stable"),
+        darwin: applicationSupportPath("com.operasoftware.Opera"),
+        linux: [
+            homePath(".config", "opera"),
+            snapPath("opera", "current", ".config", "opera"),
+            flatpakPath("com.opera.Opera", "config", "opera")
+        ]
+    }
+});
+registerBrowser({
+    id: "seamonkey",
+    displayName: SEAMONKEY,
+    engine: ENGINES.MOZILLA,
+    paths: {
+        win32: appDataPath("Roaming", "Mozilla", "SeaMonkey"),
+        darwin: applicationSupportPath("SeaMonkey", "Profiles"),
+        linux: homePath(".mozilla", "seamonkey")
+    }
+});
+registerBrowser({
+    id: "vivaldi",
+    displayName: VIVALDI,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Local", "Vivaldi", "User Data"),
+        darwin: applicationSupportPath("Vivaldi"),
+        linux: [
+            homePath(".config", "vivaldi"),
+            snapPath("vivaldi", "current", ".config", "vivaldi"),
+            flatpakPath("com.vivaldi.Vivaldi", "config", "vivaldi")
+        ]
+    }
+});
+registerBrowser({
+    id: "maxthon",
+    displayName: MAXTHON,
+    engine: ENGINES.MAXTHON,
+    paths: {
+        darwin: applicationSupportPath("com.maxthon.mac.Maxthon")
+    }
+});
+registerBrowser({
+    id: "edge",
+    displayName: EDGE,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Local", "Microsoft", "Edge"),
+        darwin: applicationSupportPath("Microsoft Edge"),
+        linux: [
+            homePath(".config", "microsoft-edge"),
+            flatpakPath("com.microsoft.Edge", "config", "microsoft-edge")
+        ]
+    }
+});
+registerBrowser({
+    id: "brave",
+    displayName: BRAVE,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Local", "BraveSoftware", "Brave-Browser", "User Data"),
+        darwin: applicationSupportPath("BraveSoftware", "Brave-Browser"),
+        linux: [
+            homePath(".config", "BraveSoftware", "Brave-Browser"),
+            snapPath("brave", "current", ".config", "BraveSoftware", "Brave-Browser"),
+            flatpakPath("com.brave.Browser", "config", "BraveSoftware", "Brave-Browser")
+        ]
+    }
+});
+registerBrowser({
+    id: "avast",
+    displayName: AVAST,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Local", "Google", "AVAST Software"),
+        darwin: applicationSupportPath("AVAST Software", "Browser")
+    }
+});
+registerBrowser({
+    id: "safari",
+    displayName: SAFARI,
+    engine: ENGINES.SAFARI,
+    paths: {
+        darwin: homePath("Library", "Safari")
+    }
+});
+registerBrowser({
+    id: "operagx",
+    displayName: OPERA_GX,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Roaming", "Opera Software", "Opera GX Stable"),
+        darwin: applicationSupportPath("com.operasoftware.OperaGX")
+    }
+});
+registerBrowser({
+    id: "yandex",
+    displayName: YANDEX,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Local", "Yandex", "YandexBrowser", "User Data"),
+        darwin: applicationSupportPath("Yandex", "YandexBrowser"),
+        linux: [
+            homePath(".config", "yandex-browser"),
+            homePath(".config", "yandex-browser-beta")
+        ]
+    }
+});
+registerBrowser({
+    id: "arc",
+    displayName: ARC,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        // Arc is installed as an MSIX package, its files live in the package's local cache
+        win32: appDataPath("Local", "Packages", "TheBrowserCompany.Arc_ttt1ap7aakyb4", "LocalCache", "Local", "Arc", "User Data"),
+        darwin: applicationSupportPath("Arc", "User Data")
+    }
+});
+registerBrowser({
+    id: "thorium",
+    displayName: THORIUM,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Local", "Thorium", "User Data"),
+        darwin: applicationSupportPath("Thorium"),
+        linux: homePath(".config", "thorium")
+    }
+});
+registerBrowser({
+    id: "epic",
+    displayName: EPIC,
+    engine: ENGINES.CHROMIUM,
+    paths: {
+        win32: appDataPath("Local", "Epic Privacy Browser", "User Data"),
+        darwin: applicationSupportPath("HiddenReflex", "Epic")
+    }
+});
+registerBrowser({
+    id: "waterfox",
+    displayName: WATERFOX,
+    engine: ENGINES.MOZILLA,
+    paths: {
+        win32: appDataPath("Roaming", "Waterfox"),
+        darwin: applicationSupportPath("Waterfox"),
+        linux: [
+            homePath(".waterfox"),
+            flatpakPath("net.waterfox.waterfox", ".waterfox")
+        ]
+    }
+});
+registerBrowser({
+    id: "librewolf",
+    displayName: LIBREWOLF,
+    engine: ENGINES.MOZILLA,
+    paths: {
+        win32: appDataPath("Roaming", "librewolf"),
+        darwin: applicationSupportPath("librewolf"),
+        linux: [
+            homePath(".librewolf"),
+            flatpakPath("io.gitlab.librewolf-community", ".librewolf")
+        ]
+    }
+});
+registerBrowser({
+    id: "floorp",
+    displayName: FLOORP,
+    engine: ENGINES.MOZILLA,
+    paths: {
+        win32: appDataPath("Roaming", "Floorp"),
+        darwin: applicationSupportPath("Floorp"),
+        linux: [
+            homePath(".floorp"),
+            flatpakPath("one.ablaze.floorp", ".floorp")
+        ]
+    }
+});
+registerBrowser({
+    id: "zen",
+    displayName: ZEN,
+    engine: ENGINES.MOZILLA,
+    paths: {
+        win32: appDataPath("Roaming", "zen"),
+        darwin: applicationSupportPath("zen"),
+        linux: [
+            homePath(".zen"),
+            flatpakPath("app.zen_browser.zen", ".zen")
+        ]
+    }
+});
+
 module.exports = {
     findPaths,
+    findProfiles,
+    findDatabases,
+    findDatabasePaths,
     findBookmarkPaths,
+    registerBrowser,
+    getBrowser,
+    resolveBrowserName,
+    getBrowserEngine,
+    ENGINES,
+    browserKeys,
     browserDbLocations,
     defaultPaths,
+    sandboxPaths,
+    PACKAGING,
     CHROME,
+    CHROMIUM,
     FIREFOX,
     TORCH,
     OPERA,
@@ -132,5 +591,15 @@ module.exports = {
     MAXTHON,
     BRAVE,
     EDGE,
-    AVAST
+    AVAST,
+    SAFARI,
+    OPERA_GX,
+    YANDEX,
+    ARC,
+    THORIUM,
+    EPIC,
+    WATERFOX,
+    LIBREWOLF,
+    FLOORP,
+    ZEN
 };
\ No newline at end of file
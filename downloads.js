@@ -0,0 +1,105 @@
+const { fileURLToPath } = require("url");
+const { toIsoTime } = require("./timestamps");
+
+/**
+ * Turns the download rows read from Chrome's downloads table and Firefox's download
+ * annotations into download records with one set of states:
+ * in_progress, complete, cancelled, interrupted and blocked.
+ */
+
+// Chrome downloads.state values (history::DownloadState)
+const CHROME_DOWNLOAD_STATES = {
+    0: "in_progress",
+    1: "complete",
+    2: "cancelled",
+    3: "interrupted",   // Written by old versions of Chrome
+    4: "interrupted",
+};
+
+// Firefox downloads/metaData state values (DownloadHistory METADATA_STATE_*)
+const MOZILLA_DOWNLOAD_STATES = {
+    0: "in_progress",
+    1: "complete",
+    2: "interrupted",   // FAILED
+    3: "cancelled",
+    4: "interrupted",   // PAUSED
+    6: "blocked",       // BLOCKED_PARENTAL
+    7: "blocked",       // BLOCKED_POLICY
+    8: "blocked",       // DIRTY
+};
+
+function fileUriToPath(uri) {
+    try {
+        return fileURLToPath(uri);
+    } catch (error) {
+        return uri;
+    }
+}
+
+/**
+ * Builds a download record from a Chrome downloads row and its url chain. The row holds the
+ * start and end times as epoch milliseconds in start_ms and end_ms.
+ * @param row
+ * @param urlChain urls from downloads_url_chains, first to last
+ * @param browserName
+ * @returns {Object}
+ */
+function toChromeDownloadRecord(row, urlChain, browserName) {
+    return {
+        id: row.id,
+        target_path: row.target_path,
+        url: urlChain.length > 0 ? urlChain[urlChain.length - 1] : null,
+        url_chain: urlChain,
+        referrer: row.referrer || null,
+        total_bytes: row.total_bytes,
+        received_bytes: row.received_bytes,
+        mime_type: row.mime_type || null,
+        start_time: toIsoTime(row.start_ms),
+        start_time_ms: row.start_ms,
+        end_time: toIsoTime(row.end_ms),
+        end_time_ms: row.end_ms,
+        state: CHROME_DOWNLOAD_STATES[row.state] || "interrupted",
+        browser: browserName,
+    };
+}
+
+/**
+ * Builds a download record from a Firefox download annotation row. Firefox keeps the size,
+ * state and end time as JSON in the downloads/metaData annotation and does not record the
+ * mime type or the redirects the download went through. The row holds the start time as
+ * epoch milliseconds in start_ms.
+ * @param row
+ * @param browserName
+ * @returns {Object}
+ */
+function toMozillaDownloadRecord(row, browserName) {
+    let metaData = {};
+    try {
+        metaData = JSON.parse(row.meta_data) || {};
+    } catch (error) {
+        // Downloads that never finished have no metadata
+    }
+    const state = metaData.state === undefined ? 0 : metaData.state;
+    const endMs = metaData.endTime ? metaData.endTime : null;
+    return {
+        id: row.id,
+        target_path: fileUriToPath(row.target_uri),
+        url: row.url,
+        url_chain: [row.url],
+        referrer: row.referrer || null,
+        total_bytes: metaData.fileSize === undefined ? null : metaData.fileSize,
+        received_bytes: state === 1 && metaData.fileSize !== undefined ? metaData.fileSize : null,
+        mime_type: null,
+        start_time: toIsoTime(row.start_ms),
+        start_time_ms: row.start_ms,
+        end_time: toIsoTime(endMs),
+        end_time_ms: endMs,
+        state: MOZILLA_DOWNLOAD_STATES[state] || "interrupted",
+        browser: browserName,
+    };
+}
+
+module.exports = {
+    toChromeDownloadRecord,
+    toMozillaDownloadRecord
+};
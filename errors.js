@@ -0,0 +1,115 @@
+/**
+ * Errors reported for the sources, history databases, bookmark files and session files, that
+ * could not be read. Every error has a code and the path of the file, and the error it was
+ * raised from, if any, as its cause.
+ */
+
+class BrowserHistoryError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = "READ_FAILED";
+        this.path = options.path || null;
+        if (options.cause) {
+            this.cause = options.cause;
+        }
+    }
+
+    // Errors are reported in results that are often written out as JSON, where Error has no fields
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.message,
+            path: this.path,
+        };
+    }
+}
+
+// The file does not exist, e.g. a profile that has never been used to browse
+class NotFoundError extends BrowserHistoryError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = "NOT_FOUND";
+    }
+}
+
+// The browser holds a lock on the file that keeps it from being copied or read
+class LockedError extends BrowserHistoryError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = "LOCKED";
+    }
+}
+
+// The process is not allowed to read the file, e.g. Safari without Full Disk Access on macOS
+class PermissionDeniedError extends BrowserHistoryError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = "PERMISSION_DENIED";
+    }
+}
+
+// The file is readable but lacks the tables or columns this library reads, e.g. a far older or newer browser
+class SchemaUnsupportedError extends BrowserHistoryError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = "SCHEMA_UNSUPPORTED";
+    }
+}
+
+// The file is not a valid database, JSON, property list or session file
+class CorruptError extends BrowserHistoryError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = "CORRUPT";
+    }
+}
+
+const NOT_FOUND_CODES = ["ENOENT", "ENOTDIR", "SQLITE_CANTOPEN"];
+const PERMISSION_DENIED_CODES = ["EACCES", "EPERM", "SQLITE_PERM", "SQLITE_AUTH", "SQLITE_READONLY"];
+const LOCKED_CODES = ["EBUSY", "SQLITE_BUSY", "SQLITE_LOCKED"];
+const CORRUPT_CODES = ["SQLITE_CORRUPT", "SQLITE_NOTADB"];
+
+/**
+ * Turns an error raised while reading a file into the typed error for it. Errors already typed get
+ * the path when they lack one, errors that fit none of the types are returned as they are.
+ * @param error
+ * @param filePath
+ * @returns {Error}
+ */
+function toSourceError(error, filePath) {
+    if (error instanceof BrowserHistoryError) {
+        error.path = error.path || filePath || null;
+        return error;
+    }
+    const code = error && error.code;
+    const message = error && error.message ? error.message : String(error);
+    const options = { path: filePath, cause: error };
+    if (NOT_FOUND_CODES.includes(code)) {
+        return new NotFoundError(`${filePath} does not exist`, options);
+    }
+    if (PERMISSION_DENIED_CODES.includes(code)) {
+        return new PermissionDeniedError(`Not allowed to read ${filePath}`, options);
+    }
+    if (LOCKED_CODES.includes(code)) {
+        return new LockedError(`${filePath} is locked by another process`, options);
+    }
+    if (CORRUPT_CODES.includes(code) || error instanceof SyntaxError) {
+        return new CorruptError(`${filePath} is corrupt: ${message}`, options);
+    }
+    if (code === "SQLITE_ERROR" && /no such (table|column)/.test(message)) {
+        return new SchemaUnsupportedError(`${filePath} has an unsupported schema: ${message}`, options);
+    }
+    return error;
+}
+
+module.exports = {
+    BrowserHistoryError,
+    NotFoundError,
+    LockedError,
+    PermissionDeniedError,
+    SchemaUnsupportedError,
+    CorruptError,
+    toSourceError
+};
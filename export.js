@@ -0,0 +1,281 @@
+const path = require("path");
+const fs = require("fs");
+const { tmpdir } = require("os");
+const { Readable, pipeline } = require("stream");
+const { promisify } = require("util");
+const Database = require("./lib/sqlite-async");
+const uuidV4 = require("uuid").v4;
+
+/**
+ * Writes history and bookmark records as CSV, NDJSON, a self-contained HTML report or a
+ * standalone SQLite database.
+ */
+
+const pipelineAsync = promisify(pipeline);
+
+const EXPORT_FORMATS = ["csv", "ndjson", "html", "sqlite"];
+
+// Columns written for each type of record, in order. Arrays such as folder_path, tags and url_chain
+// are written as JSON text in CSV and SQLite
+const COLUMNS = {
+    history: ["browser", "engine", "profile", "profile_name", "packaging", "source_path", "title", "url",
+        "utc_time", "utc_time_ms", "visit_count", "typed_count"],
+    bookmarks: ["browser", "engine", "profile", "profile_name", "packaging", "source_path", "title", "url", "folder",
+        "folder_path", "added_time", "added_time_ms", "last_modified", "last_modified_ms", "tags", "keyword", "description"],
+    downloads: ["browser", "engine", "profile", "profile_name", "packaging", "source_path", "url", "target_path",
+        "referrer", "mime_type", "total_bytes", "received_bytes", "start_time", "start_time_ms", "end_time", "end_time_ms",
+        "state", "url_chain"],
+    profiles: ["id", "browser", "engine", "packaging", "directory", "name", "account", "account_name", "isDefault",
+        "path", "historyPath", "bookmarksPath"],
+};
+
+const TITLES = {
+    history: "Browser history",
+    bookmarks: "Bookmarks",
+    downloads: "Downloads",
+    profiles: "Browser profiles",
+};
+
+// Version of the SQLite export schema, stored in its export_info table
+const SQLITE_SCHEMA_VERSION = "2";
+
+/**
+ * Flattens the records, which may be grouped by browser or profile with the shape option or be
+ * arrays of arrays from callers of older versions
+ * @param records
+ * @returns {Array}
+ */
+function flattenRecords(records) {
+    if (!Array.isArray(records)) {
+        records = Object.values(records || {});
+    }
+    let flat = [];
+    for (const record of records) {
+        if (Array.isArray(record)) {
+            flat = flat.concat(flattenRecords(record));
+        } else if (record) {
+            flat.push(record);
+        }
+    }
+    return flat;
+}
+
+function columnValue(record, column) {
+    const value = record[column];
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return Array.isArray(value) || typeof value === "object" ? JSON.stringify(value) : value;
+}
+
+/**
+ * Escapes a CSV field as RFC 4180 asks: fields holding a comma, quote or line break are
+ * quoted and their quotes doubled
+ * @param value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+    if (value === null) {
+        return "";
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function* csvChunks(records, columns) {
+    yield columns.join(",") + "\r\n";
+    for (const record of records) {
+        yield columns.map(column => escapeCsv(columnValue(record, column))).join(",") + "\r\n";
+    }
+}
+
+function* ndjsonChunks(records) {
+    for (const record of records) {
+        yield JSON.stringify(record) + "\n";
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function htmlCell(record, column) {
+    const value = record[column];
+    if (value === undefined || value === null) {
+        return "<td></td>";
+    }
+    if (Array.isArray(value)) {
+        return `<td>${escapeHtml(value.join(" / "))}</td>`;
+    }
+    if (column === "url" && /^https?:/i.test(value)) {
+        return `<td><a href="${escapeHtml(value)}" rel="noreferrer">${escapeHtml(value)}</a></td>`;
+    }
+    return `<td>${escapeHtml(value)}</td>`;
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 1.5em; color: #222; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; word-break: break-all; }
+th { background: #f3f3f3; cursor: pointer; user-select: none; position: sticky; top: 0; }
+th[data-order="asc"]::after { content: " \\25B2"; }
+th[data-order="desc"]::after { content: " \\25BC"; }
+tr:nth-child(even) td { background: #fafafa; }`;
+
+// Sorts the table by the clicked column, clicking it again reverses the order
+const HTML_SCRIPT = `
+document.querySelectorAll("table.sortable th").forEach(function (header, column) {
+  header.addEventListener("click", function () {
+    var table = header.closest("table");
+    var body = table.tBodies[0];
+    var order = header.getAttribute("data-order") === "asc" ? "desc" : "asc";
+    table.querySelectorAll("th").forEach(function (th) { th.removeAttribute("data-order"); });
+    header.setAttribute("data-order", order);
+    var rows = Array.prototype.slice.call(body.rows);
+    rows.sort(function (a, b) {
+      var result = a.cells[column].textContent.localeCompare(b.cells[column].textContent, undefined, { numeric: true });
+      return order === "asc" ? result : -result;
+    });
+    rows.forEach(function (row) { body.appendChild(row); });
+  });
+});`;
+
+function* htmlChunks(records, columns, type) {
+    const title = TITLES[type];
+    yield "<!DOCTYPE html>\n<html>\n<head>\n<meta charset=\"utf-8\">\n"
+        + `<title>${escapeHtml(title)}</title>\n<style>${HTML_STYLE}\n</style>\n</head>\n<body>\n`
+        + `<h1>${escapeHtml(title)}</h1>\n`
+        + `<p>${records.length} records, exported ${escapeHtml(new Date().toISOString())}</p>\n`
+        + "<table class=\"sortable\">\n<thead><tr>"
+        + columns.map(column => `<th>${escapeHtml(column)}</th>`).join("")
+        + "</tr></thead>\n<tbody>\n";
+    for (const record of records) {
+        yield "<tr>" + columns.map(column => htmlCell(record, column)).join("") + "</tr>\n";
+    }
+    yield `</tbody>\n</table>\n<script>${HTML_SCRIPT}\n</script>\n</body>\n</html>\n`;
+}
+
+/**
+ * Writes the records to a new SQLite database
+ * @param records
+ * @param columns
+ * @param type name of the table
+ * @param dbPath
+ * @returns {Promise<void>}
+ */
+async function writeSqlite(records, columns, type, dbPath) {
+    const db = await Database.open(dbPath);
+    try {
+        await db.exec(`
+            CREATE TABLE export_info (key TEXT PRIMARY KEY, value TEXT);
+            CREATE TABLE ${type} (id INTEGER PRIMARY KEY, ${columns.map(column => `${column} TEXT`).join(", ")});
+        `);
+        await db.transaction(async () => {
+            await db.run("INSERT INTO export_info (key, value) VALUES (?, ?), (?, ?)",
+                ["schema_version", SQLITE_SCHEMA_VERSION, "exported_at", new Date().toISOString()]);
+            const statement = await db.prepare(
+                `INSERT INTO ${type} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`
+            );
+            try {
+                for (const record of records) {
+                    await statement.run(columns.map(column => columnValue(record, column)));
+                }
+            } finally {
+                await statement.finalize();
+            }
+        });
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Writes the chunks to the output stream, a file or, when neither is given, a buffer
+ * @param chunks
+ * @param options
+ * @returns {Promise<Buffer|undefined>}
+ */
+async function writeChunks(chunks, options) {
+    const source = Readable.from(chunks);
+    if (options.output) {
+        await pipelineAsync(source, options.output);
+        return undefined;
+    }
+    if (options.path) {
+        await pipelineAsync(source, fs.createWriteStream(options.path));
+        return undefined;
+    }
+    let buffers = [];
+    for await (const chunk of source) {
+        buffers.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(buffers);
+}
+
+/**
+ * Exports history, bookmark, download or profile records.
+ * The SQLite export has an export_info table (key, value) with the schema_version and exported_at
+ * time, and a table named after the type of the records with an id column and a TEXT column for every
+ * field of the records. Arrays such as folder_path and tags are stored as JSON text.
+ * @param records records returned by getHistory, getAllHistory, getBookmarks, getAllBookmarks,
+ *                getDownloads or listProfiles, in any shape
+ * @param options
+ * @param options.format "csv", "ndjson", "html" or "sqlite". Defaults to "csv"
+ * @param options.type "history", "bookmarks", "downloads" or "profiles". Defaults to "history"
+ * @param options.output writable stream to write the export to, it is ended once the export is written
+ * @param options.path file to write the export to instead of a stream
+ * @returns {Promise<Buffer|undefined>} the export when neither output nor path is given
+ */
+async function exportRecords(records = [], options = {}) {
+    const format = options.format || "csv";
+    const type = options.type || "history";
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new TypeError(`Unsupported export format: ${format}`);
+    }
+    if (!COLUMNS[type]) {
+        throw new TypeError(`Unsupported export type: ${type}`);
+    }
+    const flatRecords = flattenRecords(records);
+    const columns = COLUMNS[type];
+
+    switch (format) {
+        case "csv":
+            return writeChunks(csvChunks(flatRecords, columns), options);
+        case "ndjson":
+            return writeChunks(ndjsonChunks(flatRecords), options);
+        case "html":
+            return writeChunks(htmlChunks(flatRecords, columns, type), options);
+        case "sqlite": {
+            if (options.path && !options.output) {
+                if (fs.existsSync(options.path)) {
+                    fs.unlinkSync(options.path);
+                }
+                await writeSqlite(flatRecords, columns, type, options.path);
+                return undefined;
+            }
+            // SQLite needs a file, it is written to the temp directory and then streamed
+            const dbPath = path.join(tmpdir(), uuidV4() + ".sqlite");
+            try {
+                await writeSqlite(flatRecords, columns, type, dbPath);
+                if (options.output) {
+                    await pipelineAsync(fs.createReadStream(dbPath), options.output);
+                    return undefined;
+                }
+                return fs.readFileSync(dbPath);
+            } finally {
+                if (fs.existsSync(dbPath)) {
+                    fs.unlinkSync(dbPath);
+                }
+            }
+        }
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportRecords
+};
@@ -1,58 +1,68 @@
 const Path = require('path');
+const os = require('os');
 
-const homeDirectory = process.env.HOME;
+const homeDirectory = process.env.HOME || os.homedir();
 
-function setupForWindows() {
-    let defaultPaths = {}
+// How a browser was installed, sandboxed builds keep their profiles in their own directories
+const PACKAGING = {
+    NATIVE: "native",
+    SNAP: "snap",
+    FLATPAK: "flatpak"
+};
+
+// Platforms browsers can list default locations for, keyed like process.platform
+const PLATFORMS = ["linux", "darwin", "win32"];
 
-    const appDataDirectory = Path.join(process.env.HOMEDRIVE, "Users", process.env.USERNAME, "AppData");
+/**
+ * Directory under the AppData directory of the Windows user, e.g. appDataPath("Local", "Vivaldi")
+ * @param segments
+ * @returns {String}
+ */
+function appDataPath(...segments) {
+    return Path.join(process.env.HOMEDRIVE || "", "Users", process.env.USERNAME || "", "AppData", ...segments);
+}
+
+/**
+ * Directory under the Application Support directory of the macOS user
+ * @param segments
+ * @returns {String}
+ */
+function applicationSupportPath(...segments) {
+    return Path.join(homeDirectory, "Library", "Application Support", ...segments);
+}
 
-    defaultPaths.chrome = Path.join(appDataDirectory, "Local", "Google", "Chrome");
-    defaultPaths.avast = Path.join(appDataDirectory, "Local", "Google", "AVAST Software");
-    defaultPaths.firefox = Path.join(appDataDirectory, "Roaming", "Mozilla", "Firefox");
-    defaultPaths.opera = Path.join(appDataDirectory, "Roaming", "Opera Software");
-    defaultPaths.edge = Path.join(appDataDirectory, "Local", "Microsoft", "Edge");
-    defaultPaths.torch = Path.join(appDataDirectory, "Local", "Torch", "User Data");
-    defaultPaths.seamonkey = Path.join(appDataDirectory, "Roaming", "Mozilla", "SeaMonkey");
-    defaultPaths.brave = Path.join(appDataDirectory, "Local", "BraveSoftware", "Brave-Browser", "User Data");
-    defaultPaths.vivaldi = Path.join(appDataDirectory, "Local", "Vivaldi", "User Data");
-    return defaultPaths
+function homePath(...segments) {
+    return Path.join(homeDirectory, ...segments);
 }
 
-function setupForMac() {
-    let defaultPaths = {}
-    defaultPaths.chrome = Path.join(homeDirectory, "Library", "Application Support", "Google", "Chrome");
-    defaultPaths.avast = Path.join(homeDirectory, "Library", "Application Support", "AVAST Software", "Browser");
-    defaultPaths.firefox = Path.join(homeDirectory, "Library", "Application Support", "Firefox");
-    defaultPaths.edge = Path.join(homeDirectory, "Library", "Application Support", "Microsoft Edge");
-    defaultPaths.opera = Path.join(homeDirectory, "Library", "Application Support", "com.operasoftware.Opera");
-    defaultPaths.maxthon = Path.join(homeDirectory, "Library", "Application Support", "com.maxthon.mac.Maxthon");
-    defaultPaths.vivaldi = Path.join(homeDirectory, "Library", "Application Support", "Vivaldi");
-    defaultPaths.seamonkey = Path.join(homeDirectory, "Library", "Application Support", "SeaMonkey", "Profiles");
-    defaultPaths.brave = Path.join(homeDirectory, "Library", "Application Support", "BraveSoftware", "Brave-Browser");
-    return defaultPaths;
+function snapPath(...segments) {
+    return { packaging: PACKAGING.SNAP, path: Path.join(homeDirectory, "snap", ...segments) };
 }
 
-function setupForLinux() {
-    let defaultPaths = {}
-    defaultPaths.firefox = Path.join(homeDirectory, ".mozilla", "firefox");
-    defaultPaths.chrome = Path.join(homeDirectory, ".config", "google-chrome");
-    return defaultPaths
+function flatpakPath(appId, ...segments) {
+    return { packaging: PACKAGING.FLATPAK, path: Path.join(homeDirectory, ".var", "app", appId, ...segments) };
 }
 
-function setupDefaultPaths(defaultPaths) {
-    switch (process.platform) {
-        case 'darwin':
-            return setupForMac(defaultPaths);
-        case 'linux':
-            return setupForLinux(defaultPaths);
-        case 'win32':
-            return setupForWindows(defaultPaths);
-        default:
-            console.error(`Platform ${process.platform} is not supported by node-browser-history`);
-    }
+/**
+ * Turns the locations a browser lists for a platform, a directory or an array of directories and
+ * sandbox locations built by snapPath or flatpakPath, into locations tagged with their packaging.
+ * Directories given as strings are native installs.
+ * @param locations
+ * @returns {Array} e.g. [{ packaging: "native", path: "..." }, { packaging: "snap", path: "..." }]
+ */
+function toLocations(locations) {
+    return [].concat(locations || []).map(location => typeof location === 'string'
+        ? { packaging: PACKAGING.NATIVE, path: location }
+        : { packaging: location.packaging || PACKAGING.NATIVE, path: location.path });
 }
 
 module.exports = {
-    setupDefaultPaths
+    PACKAGING,
+    PLATFORMS,
+    appDataPath,
+    applicationSupportPath,
+    homePath,
+    snapPath,
+    flatpakPath,
+    toLocations
 };
@@ -1,9 +1,22 @@
 const path = require("path");
 const fs = require("fs");
-const Database = require("sqlite-async");
+const EventEmitter = require("events");
+const Database = require("./lib/sqlite-async");
 const uuidV4 = require("uuid").v4;
 
 const browsers = require("./browsers");
+const { decodeChromeTransition, decodeMozillaTransition } = require("./transitions");
+const { toChromeDownloadRecord, toMozillaDownloadRecord } = require("./downloads");
+const { normalizeSearchTerm, parseSearchUrl, searchEngineName } = require("./search_engines");
+const { parseBinaryPlist } = require("./bplist");
+const sessions = require("./sessions");
+const { exportBookmarksHtml, parseBookmarksHtml } = require("./netscape_bookmarks");
+const { EXPORT_FORMATS, exportRecords } = require("./export");
+const errors = require("./errors");
+const {
+    CHROME_EPOCH_OFFSET_MS, toChromeTime, toMozillaTime, toCoreDataTime, chromeTimeToEpochMs, mozillaTimeToEpochMs,
+    chromeEpochMsSql, mozillaEpochMsSql, coreDataEpochMsSql, toIsoTime
+} = require("./timestamps");
 const { tmpdir } = require("os");
 
 /**
@@ -14,34 +27,426 @@ function getTempDir() {
     return process.env.TMP || process.env.TMPDIR || tmpdir();
 }
 
+/**
+ * Converts a Date, epoch milliseconds or date string into epoch milliseconds.
+ * Returns null when no value is given.
+ * @param value
+ * @param optionName used in the error message
+ * @returns {number|null}
+ */
+function toEpochMs(value, optionName) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    let epochMs = value;
+    if (value instanceof Date) {
+        epochMs = value.getTime();
+    } else if (typeof value === 'string') {
+        epochMs = Date.parse(value);
+    }
+    if (typeof epochMs !== 'number' || Number.isNaN(epochMs)) {
+        throw new TypeError(`'${optionName}' must be a Date, epoch milliseconds or a date string`);
+    }
+    return epochMs;
+}
+
+/**
+ * Builds a time range from absolute bounds. `since` is inclusive and `until` exclusive,
+ * either may be left out to leave that side of the range open.
+ * @param since
+ * @param until
+ * @returns {{since: (number|null), until: (number|null)}}
+ */
+function createTimeRange(since, until) {
+    const range = {
+        since: toEpochMs(since, 'since'),
+        until: toEpochMs(until, 'until'),
+    };
+    if (range.since !== null && range.until !== null && range.since > range.until) {
+        throw new RangeError("'since' must not be later than 'until'");
+    }
+    return range;
+}
+
+/**
+ * Builds the time range covering the last historyTimeLength minutes.
+ * @param historyTimeLength time is in minutes
+ * @returns {{since: number, until: null}}
+ */
+function minutesToTimeRange(historyTimeLength) {
+    return createTimeRange(Date.now() - historyTimeLength * 60 * 1000, null);
+}
+
+/**
+ * Builds the WHERE clause and parameters restricting a timestamp column to a time range.
+ * toNativeTime converts epoch milliseconds into the unit the browser stores in that column.
+ * @param column
+ * @param range
+ * @param toNativeTime
+ * @returns {{where: string, params: array}}
+ */
+function timeRangeFilter(column, range, toNativeTime) {
+    const conditions = [];
+    const params = [];
+    if (range.since !== null) {
+        conditions.push(`${column} >= ?`);
+        params.push(toNativeTime(range.since));
+    }
+    if (range.until !== null) {
+        conditions.push(`${column} < ?`);
+        params.push(toNativeTime(range.until));
+    }
+    return {
+        where: conditions.length > 0 ? conditions.join(' AND ') : '1',
+        params,
+    };
+}
+
+/**
+ * Checks whether a profile is the one asked for. Profiles can be asked for with a profile object
+ * returned by listProfiles, its id, its name, the name of the profile directory, e.g. "Default"
+ * or "abcd1234.default-release", or the full path of the profile directory or its DB file.
+ * @param profile as returned by browsers.findProfiles
+ * @param wanted
+ * @returns {boolean}
+ */
+function isWantedProfile(profile, wanted) {
+    if (wanted && typeof wanted === 'object') {
+        return wanted.id === profile.id || wanted.path === profile.path;
+    }
+    return wanted === profile.id
+        || wanted === profile.name
+        || wanted === profile.directory
+        || path.resolve(wanted) === profile.path
+        || path.resolve(wanted) === profile.historyPath;
+}
+
+/**
+ * Resolves the browser names or keys passed in the options to browser names.
+ * Returns every supported browser when none are given.
+ * @param requestedBrowsers
+ * @returns {Array}
+ */
+function resolveBrowserNames(requestedBrowsers) {
+    if (!requestedBrowsers || requestedBrowsers.length === 0) {
+        return Object.keys(browsers.browserKeys);
+    }
+    return requestedBrowsers.map(browser => {
+        const browserName = browsers.resolveBrowserName(browser);
+        if (!browserName) {
+            throw new TypeError(`Unsupported browser: ${browser}`);
+        }
+        return browserName;
+    });
+}
+
+/**
+ * Returns the directories given in the paths option for a browser, or undefined to look in the
+ * browser's default locations. The paths option is keyed by browser name or key and takes a
+ * directory or an array of directories, e.g. { safari: "/fixtures/Safari" }.
+ * @param browserName
+ * @param paths
+ * @returns {Array|undefined}
+ */
+function rootPathsFor(browserName, paths) {
+    if (!paths) {
+        return undefined;
+    }
+    const rootPaths = paths[browserName] || paths[browsers.browserKeys[browserName]];
+    return rootPaths ? [].concat(rootPaths) : undefined;
+}
+
+/**
+ * Finds the profiles of a browser, restricted to the profiles asked for in options.profiles and
+ * looked for in the directories given in options.paths when any are given. A directory given in
+ * options.paths that holds none of the browser's profiles, e.g. a mistyped path, is added to sources
+ * as a NotFoundError, so it can be told from a browser without history.
+ * @param browserName
+ * @param options options of the public function, see getHistory
+ * @param sources reports of the sources read so far, see readSource. Directories are not reported when left out
+ * @returns {Array}
+ */
+function findBrowserProfiles(browserName, options = {}, sources = null) {
+    const wantedProfiles = options.profiles;
+    const rootPaths = rootPathsFor(browserName, options.paths);
+    const profiles = browsers.findProfiles(browserName, rootPaths);
+    if (sources && rootPaths) {
+        for (const rootPath of rootPaths) {
+            if (browsers.findProfiles(browserName, [rootPath]).length > 0) {
+                continue;
+            }
+            const directory = typeof rootPath === 'string' ? rootPath : rootPath.path;
+            const error = new errors.NotFoundError(`No ${browserName} profile in ${directory}`, { path: directory });
+            sources.push({
+                browser: browserName,
+                profile: null,
+                path: directory,
+                status: 'error',
+                error,
+                durationMs: 0,
+                recordCount: 0,
+            });
+        }
+    }
+    if (!wantedProfiles || wantedProfiles.length === 0) {
+        return profiles;
+    }
+    return profiles.filter(profile => wantedProfiles.some(wanted => isWantedProfile(profile, wanted)));
+}
+
+/**
+ * Stamps where a record was read from onto each of the records: the engine of the browser, the
+ * profile and the file.
+ * @param records
+ * @param profile as returned by browsers.findProfiles
+ * @param sourcePath file or directory the records were read from
+ * @returns {Array}
+ */
+function tagRecords(records, profile, sourcePath) {
+    return records.map(record => Object.assign(record, {
+        engine: profile.engine,
+        profile: profile.id,
+        profile_name: profile.name,
+        packaging: profile.packaging,
+        source_path: sourcePath,
+    }));
+}
+
+/**
+ * Reads the records of one source, a history database, bookmark file or session of a profile, and
+ * adds a report of it to sources: its browser, profile, path, status ("ok" or "error"), error,
+ * durationMs and recordCount. A source that can not be read is reported with one of the errors of
+ * errors.js instead of failing the whole call, so "no records" can be told from "failed to read".
+ * @param sources reports of the sources read so far
+ * @param browserName
+ * @param profile as returned by browsers.findProfiles
+ * @param sourcePath file or directory the records are read from, null when the profile has none
+ * @param read returns a promise of the records
+ * @returns {Promise<array>} the records tagged with the profile, empty when the source could not be read
+ */
+async function readSource(sources, browserName, profile, sourcePath, read) {
+    const startTime = Date.now();
+    let source = {
+        browser: browserName,
+        profile: profile.id,
+        path: sourcePath || null,
+        status: 'ok',
+        error: null,
+        durationMs: 0,
+        recordCount: 0,
+    };
+    let records = [];
+    try {
+        if (!sourcePath) {
+            throw new errors.NotFoundError(`Profile ${profile.id} has no file to read`);
+        }
+        records = tagRecords(await read(), profile, sourcePath);
+        source.recordCount = records.length;
+    } catch (error) {
+        source.status = 'error';
+        source.error = errors.toSourceError(error, sourcePath);
+    }
+    source.durationMs = Date.now() - startTime;
+    sources.push(source);
+    return records;
+}
+
+// Shapes the collectors can return their records in, see shapeRecords
+const SHAPES = ['flat', 'byBrowser', 'byProfile'];
+
+/**
+ * The order each kind of record is sorted in: the field holding its time in epoch milliseconds and
+ * whether the newest come first. Bookmark trees and sessions have no time of their own and are
+ * only sorted by browser and profile.
+ */
+const RECORD_ORDERS = {
+    history: { timeField: 'utc_time_ms', newestFirst: false },
+    visits: { timeField: 'utc_time_ms', newestFirst: false },
+    downloads: { timeField: 'start_time_ms', newestFirst: false },
+    searchTerms: { timeField: 'utc_time_ms', newestFirst: false },
+    bookmarks: { timeField: 'added_time_ms', newestFirst: true },
+    bookmarkTrees: { timeField: null, newestFirst: false },
+    sessions: { timeField: null, newestFirst: false },
+};
+
+// Fields telling apart records of the same time, browser and profile
+const TIE_BREAK_FIELDS = ['url', 'title', 'id'];
+
+/**
+ * Checks the shape option of a collector before anything is read
+ * @param shape
+ * @returns {String} the shape, "flat" when none is given
+ */
+function resolveShape(shape) {
+    if (shape === undefined || shape === null) {
+        return 'flat';
+    }
+    if (!SHAPES.includes(shape)) {
+        throw new TypeError(`Unsupported shape: ${shape}, expected one of ${SHAPES.join(', ')}`);
+    }
+    return shape;
+}
+
+// Compares two values of a field, missing values last. Values of different types are compared as strings
+function compareValues(a, b) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) {
+        return aMissing - bMissing;
+    }
+    if (typeof a !== typeof b) {
+        a = String(a);
+        b = String(b);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Sorts the records of a collector into a deterministic order and groups them into the shape asked for:
+ * "flat" is a single array, "byBrowser" an object of arrays keyed by browser name and "byProfile" an
+ * object of arrays keyed by profile id. Records are sorted on their time, records without one last,
+ * then on their browser in the order the browsers were registered in, their profile, url, title and id.
+ * The groups are in browser and then profile order.
+ * @param records
+ * @param shape as returned by resolveShape
+ * @param order one of RECORD_ORDERS
+ * @returns {Array|Object}
+ */
+function shapeRecords(records, shape, order) {
+    const browserNames = Object.keys(browsers.browserKeys);
+    const browserRank = record => browserNames.indexOf(record.browser);
+    const compareSource = (a, b) => browserRank(a) - browserRank(b) || compareValues(a.profile, b.profile);
+
+    const sorted = records.slice().sort((a, b) => {
+        let result = 0;
+        if (order.timeField) {
+            const aTime = a[order.timeField];
+            const bTime = b[order.timeField];
+            result = order.newestFirst && aTime !== null && aTime !== undefined && bTime !== null && bTime !== undefined
+                ? compareValues(bTime, aTime)
+                : compareValues(aTime, bTime);
+        }
+        result = result || compareSource(a, b);
+        for (const field of TIE_BREAK_FIELDS) {
+            result = result || compareValues(a[field], b[field]);
+        }
+        return result;
+    });
+    if (shape === 'flat') {
+        return sorted;
+    }
+
+    const groupField = shape === 'byBrowser' ? 'browser' : 'profile';
+    const groupOrder = sorted.slice().sort(compareSource);
+    let groups = {};
+    for (const record of groupOrder) {
+        groups[record[groupField]] = [];
+    }
+    for (const record of sorted) {
+        groups[record[groupField]].push(record);
+    }
+    return groups;
+}
+
+/**
+ * The functions reading each kind of record from the files of every engine, registered browsers
+ * are read with the functions of the engine they are built on. Maxthon only keeps the last visit
+ * of every url and Safari does not record how a page was reached, so neither has visits.
+ */
+const ENGINE_READERS = {
+    [browsers.ENGINES.CHROMIUM]: {
+        history: getChromeBasedBrowserRecords,
+        visits: getChromeBasedBrowserVisits,
+        downloads: getChromeBasedBrowserDownloads,
+        searchTerms: getChromeBasedBrowserSearchTerms,
+        bookmarks: getChromeBasedBrowserBookmarks,
+        bookmarkTree: getChromeBasedBrowserBookmarkTree,
+        openTabs: getChromeBasedBrowserOpenTabs,
+    },
+    [browsers.ENGINES.MOZILLA]: {
+        history: getMozillaBasedBrowserRecords,
+        visits: getMozillaBasedBrowserVisits,
+        downloads: getMozillaBasedBrowserDownloads,
+        searchTerms: getMozillaBasedBrowserSearchTerms,
+        bookmarks: getMozillaBasedBrowserBookmarks,
+        bookmarkTree: getMozillaBasedBrowserBookmarkTree,
+        openTabs: getMozillaBasedBrowserOpenTabs,
+    },
+    [browsers.ENGINES.MAXTHON]: {
+        history: getMaxthonBasedBrowserRecords,
+    },
+    [browsers.ENGINES.SAFARI]: {
+        history: getSafariBasedBrowserRecords,
+        bookmarks: getSafariBasedBrowserBookmarks,
+    },
+};
+
+/**
+ * Reads one kind of record with the function of the engine the browser is built on.
+ * Returns an empty array when the engine has no such records
+ * @param kind key of ENGINE_READERS, e.g. "history"
+ * @param paths
+ * @param browserName
+ * @param args the arguments of the reading function after the paths and browser name
+ * @returns {Promise<array>|array}
+ */
+function readWithEngine(kind, paths, browserName, ...args) {
+    const readers = ENGINE_READERS[browsers.getBrowserEngine(browserName)] || {};
+    return readers[kind] ? readers[kind](paths, browserName, ...args) : [];
+}
+
 /**
  * Runs the the proper function for the given browser. Some browsers follow the same standards as
  * chrome and firefox others have their own syntax.
  * Returns an empty array or an array of browser record objects
  * @param paths
  * @param browserName
- * @param historyTimeLength
+ * @param range time range built by createTimeRange
+ * @param access how the databases are opened, see DB_ACCESS_MODES
  * @returns {Promise<array>}
  */
-async function getBrowserHistory(paths = [], browserName, historyTimeLength) {
-    switch (browserName) {
-        case browsers.FIREFOX:
-        case browsers.SEAMONKEY:
-            return getMozillaBasedBrowserRecords(paths, browserName, historyTimeLength);
-        case browsers.CHROME:
-        case browsers.OPERA:
-        case browsers.TORCH:
-        case browsers.VIVALDI:
-        case browsers.BRAVE:
-        case browsers.EDGE:
-        case browsers.AVAST:
-            return await getChromeBasedBrowserRecords(paths, browserName, historyTimeLength);
-
-        case browsers.MAXTHON:
-            return await getMaxthonBasedBrowserRecords(paths, browserName, historyTimeLength);
-        default:
-            return [];
-    }
+async function getBrowserHistory(paths = [], browserName, range, access = DB_ACCESS_MODES.COPY) {
+    return readWithEngine("history", paths, browserName, range, access);
+}
+
+/**
+ * Runs the proper function for the given browser to extract individual visits.
+ * Returns an empty array or an array of visit record objects
+ * @param paths
+ * @param browserName
+ * @param range time range built by createTimeRange
+ * @param afterVisitId only return the visits with a higher id. Defaults to every visit
+ * @param access how the databases are opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getBrowserVisits(paths = [], browserName, range, afterVisitId = null, access = DB_ACCESS_MODES.COPY) {
+    return readWithEngine("visits", paths, browserName, range, afterVisitId, access);
+}
+
+/**
+ * Runs the proper function for the given browser to extract downloads.
+ * Returns an empty array or an array of download record objects
+ * @param paths
+ * @param browserName
+ * @param range time range built by createTimeRange
+ * @param access how the databases are opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getBrowserDownloads(paths = [], browserName, range, access = DB_ACCESS_MODES.COPY) {
+    return readWithEngine("downloads", paths, browserName, range, access);
+}
+
+/**
+ * Runs the proper function for the given browser to extract search terms.
+ * Returns an empty array or an array of search term record objects
+ * @param paths
+ * @param browserName
+ * @param range time range built by createTimeRange
+ * @param access how the databases are opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getBrowserSearchTerms(paths = [], browserName, range, access = DB_ACCESS_MODES.COPY) {
+    return readWithEngine("searchTerms", paths, browserName, range, access);
 }
 
 /**
@@ -49,43 +454,285 @@ async function getBrowserHistory(paths = [], browserName, historyTimeLength) {
  * Returns an empty array or an array of bookmark record objects
  * @param paths
  * @param browserName
+ * @param includeNonHttp also return Firefox bookmarks of file:, place: and javascript: urls
+ * @param access how the databases are opened, see DB_ACCESS_MODES
  * @returns {Promise<array>}
  */
-async function getBrowserBookmarks(paths = [], browserName) {
-    switch (browserName) {
-        case browsers.FIREFOX:
-        case browsers.SEAMONKEY:
-            return getMozillaBasedBrowserBookmarks(paths, browserName);
-        case browsers.CHROME:
-        case browsers.OPERA:
-        case browsers.TORCH:
-        case browsers.VIVALDI:
-        case browsers.BRAVE:
-        case browsers.EDGE:
-        case browsers.AVAST:
-            return await getChromeBasedBrowserBookmarks(paths, browserName);
+async function getBrowserBookmarks(paths = [], browserName, includeNonHttp = false, access = DB_ACCESS_MODES.COPY) {
+    return readWithEngine("bookmarks", paths, browserName, includeNonHttp, access);
+}
+
+/**
+ * Runs the proper function for the given browser to read the bookmark folder hierarchy.
+ * Returns an empty array or an array with the bookmark tree of every bookmark file
+ * @param paths
+ * @param browserName
+ * @param access how the databases are opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getBrowserBookmarkTree(paths = [], browserName, access = DB_ACCESS_MODES.COPY) {
+    return readWithEngine("bookmarkTree", paths, browserName, access);
+}
+
+/**
+ * Runs the proper function for the given browser to read the windows and tabs that are open.
+ * Returns an empty array or an array with the session of every profile directory that has one
+ * @param paths profile directories
+ * @param browserName
+ * @returns {Promise<array>}
+ */
+async function getBrowserOpenTabs(paths = [], browserName) {
+    return readWithEngine("openTabs", paths, browserName);
+}
+
+/**
+ * Builds the query selecting the history of a Chrome-based browser within the time range. Urls
+ * that were never visited, e.g. the ones only known from a bookmark, have no last_visit_time.
+ * @param range
+ * @returns {{sql: string, params: array}}
+ */
+function chromeHistoryQuery(range) {
+    const filter = timeRangeFilter('urls.last_visit_time', range, toChromeTime);
+    return {
+        sql: `SELECT title, ${chromeEpochMsSql('last_visit_time')} last_visit_ms, url, visit_count, typed_count from urls WHERE urls.last_visit_time > 0 AND ${filter.where} group by title, last_visit_time order by last_visit_time`,
+        params: filter.params,
+    };
+}
+
+/**
+ * Builds the query selecting the history of a Mozilla-based browser within the time range. Firefox
+ * only flags the urls that were ever typed, so typed_count counts the visits of the typed transition.
+ * moz_places also holds the bookmarked urls that were never visited, these have no last_visit_date.
+ * @param range
+ * @returns {{sql: string, params: array}}
+ */
+function mozillaHistoryQuery(range) {
+    const filter = timeRangeFilter('moz_places.last_visit_date', range, toMozillaTime);
+    return {
+        sql: `SELECT title, ${mozillaEpochMsSql('last_visit_date')} last_visit_ms, url, visit_count, (SELECT count(*) FROM moz_historyvisits WHERE moz_historyvisits.place_id = moz_places.id AND moz_historyvisits.visit_type = 2) typed_count from moz_places WHERE moz_places.last_visit_date > 0 AND ${filter.where} group by title, last_visit_date order by last_visit_date`,
+        params: filter.params,
+    };
+}
+
+/**
+ * Builds the query selecting the history of Maxthon within the time range. Maxthon does not
+ * count visits.
+ * @param range
+ * @returns {{sql: string, params: array}}
+ */
+function maxthonHistoryQuery(range) {
+    const filter = timeRangeFilter('zlastvisittime', range, toCoreDataTime);
+    return {
+        sql: `SELECT ${coreDataEpochMsSql('zlastvisittime')} last_visit_ms, zhost host, ztitle title, zurl url, NULL visit_count, NULL typed_count FROM zmxhistoryentry WHERE ${filter.where}`,
+        params: filter.params,
+    };
+}
+
+/**
+ * Builds the query selecting the history of Safari within the time range. Safari keeps
+ * the urls in history_items and every visit with the page title in history_visits. Safari does
+ * not record which urls were typed.
+ * @param range
+ * @returns {{sql: string, params: array}}
+ */
+function safariHistoryQuery(range) {
+    const filter = timeRangeFilter('history_visits.visit_time', range, toCoreDataTime);
+    return {
+        sql: `SELECT history_visits.title, ${coreDataEpochMsSql('max(history_visits.visit_time)')} last_visit_ms, history_items.url, history_items.visit_count, NULL typed_count from history_items JOIN history_visits ON history_visits.history_item = history_items.id WHERE ${filter.where} group by history_items.id order by last_visit_ms`,
+        params: filter.params,
+    };
+}
+
+/**
+ * Restricts a filter built by timeRangeFilter to the visits with an id above afterVisitId.
+ * Visit ids only grow, so this picks up the visits recorded since afterVisitId was read.
+ * @param filter
+ * @param idColumn
+ * @param afterVisitId
+ * @returns {{where: string, params: array}}
+ */
+function afterVisitFilter(filter, idColumn, afterVisitId) {
+    if (afterVisitId === null || afterVisitId === undefined) {
+        return filter;
+    }
+    return {
+        where: `${filter.where} AND ${idColumn} > ?`,
+        params: filter.params.concat(afterVisitId),
+    };
+}
+
+/**
+ * Builds the query selecting the visits of a Chrome-based browser within the time range
+ * @param range
+ * @param afterVisitId only select the visits with a higher id
+ * @returns {{sql: string, params: array}}
+ */
+function chromeVisitsQuery(range, afterVisitId = null) {
+    const filter = afterVisitFilter(timeRangeFilter('visits.visit_time', range, toChromeTime), 'visits.id', afterVisitId);
+    const sql = `
+        SELECT
+            visits.id,
+            visits.from_visit,
+            visits.transition,
+            visits.visit_duration / 1000 AS duration_ms,
+            ${chromeEpochMsSql('visits.visit_time')} AS visit_ms,
+            urls.url,
+            urls.title
+        FROM
+            visits
+            JOIN urls ON visits.url = urls.id
+        WHERE ${filter.where}
+        ORDER BY visits.visit_time
+    `;
+    return { sql, params: filter.params };
+}
+
+/**
+ * Builds the query selecting the visits of a Mozilla-based browser within the time range
+ * @param range
+ * @param afterVisitId only select the visits with a higher id
+ * @returns {{sql: string, params: array}}
+ */
+function mozillaVisitsQuery(range, afterVisitId = null) {
+    const filter = afterVisitFilter(
+        timeRangeFilter('moz_historyvisits.visit_date', range, toMozillaTime),
+        'moz_historyvisits.id',
+        afterVisitId
+    );
+    const sql = `
+        SELECT
+            moz_historyvisits.id,
+            moz_historyvisits.from_visit,
+            moz_historyvisits.visit_type AS transition,
+            NULL AS duration_ms,
+            ${mozillaEpochMsSql('moz_historyvisits.visit_date')} AS visit_ms,
+            moz_places.url,
+            moz_places.title
+        FROM
+            moz_historyvisits
+            JOIN moz_places ON moz_historyvisits.place_id = moz_places.id
+        WHERE ${filter.where}
+        ORDER BY moz_historyvisits.visit_date
+    `;
+    return { sql, params: filter.params };
+}
+
+/**
+ * Builds the history query for the engine the browser is built on.
+ * Returns null for browsers without a history database.
+ * @param browserName
+ * @param range
+ * @returns {{sql: string, params: array}|null}
+ */
+function historyQuery(browserName, range) {
+    switch (browsers.getBrowserEngine(browserName)) {
+        case browsers.ENGINES.CHROMIUM:
+            return chromeHistoryQuery(range);
+        case browsers.ENGINES.MOZILLA:
+            return mozillaHistoryQuery(range);
+        case browsers.ENGINES.MAXTHON:
+            return maxthonHistoryQuery(range);
+        case browsers.ENGINES.SAFARI:
+            return safariHistoryQuery(range);
         default:
-            return [];
+            return null;
+    }
+}
+
+/**
+ * Builds a history record from a row of the history query of any engine. The queries select the
+ * last visit time as epoch milliseconds in last_visit_ms and null for the counts a browser does not keep.
+ * @param row
+ * @param browserName
+ * @returns {Object}
+ */
+function toHistoryRecord(row, browserName) {
+    return {
+        title: row.title,
+        utc_time: toIsoTime(row.last_visit_ms),
+        utc_time_ms: row.last_visit_ms,
+        url: row.url,
+        visit_count: row.visit_count === undefined ? null : row.visit_count,
+        typed_count: row.typed_count === undefined ? null : row.typed_count,
+        browser: browserName,
+    };
+}
+
+async function getHistoryFromDb(dbPath, sql, browserName, params = []) {
+    const db = await Database.open(dbPath);
+    try {
+        const rows = await db.all(sql, params);
+        return rows.map(row => toHistoryRecord(row, browserName));
+    } finally {
+        await db.close();
     }
 }
 
-async function getHistoryFromDb(dbPath, sql, browserName) {
+/**
+ * Reads the rows of a query one at a time, the next row is only read from the database once
+ * the consumer asks for it. The statement is finalized and the database closed when the
+ * consumer stops iterating, also when it stops early.
+ * @param dbPath
+ * @param sql
+ * @param params
+ * @returns {AsyncIterableIterator<object>}
+ */
+async function* streamRowsFromDb(dbPath, sql, params = []) {
     const db = await Database.open(dbPath);
-    const rows = await db.all(sql);
-    let browserHistory = rows.map(row => {
+    try {
+        const statement = await db.prepare(sql, params);
+        try {
+            let row;
+            while ((row = await statement.get()) !== undefined) {
+                yield row;
+            }
+        } finally {
+            await statement.finalize();
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Extract visits from database using provided SQL query. The query must select
+ * id, from_visit, transition, duration_ms, visit_ms, url and title.
+ * @param dbPath
+ * @param sql
+ * @param browserName
+ * @param params
+ * @param decodeTransition turns the browser's transition value into its name
+ * @returns {Promise<array>}
+ */
+async function getVisitsFromDb(dbPath, sql, browserName, params, decodeTransition) {
+    const db = await Database.open(dbPath);
+    let rows;
+    try {
+        rows = await db.all(sql, params);
+    } finally {
+        await db.close();
+    }
+    return rows.map(row => {
         return {
+            id: row.id,
             title: row.title,
-            utc_time: row.last_visit_time,
+            utc_time: toIsoTime(row.visit_ms),
+            utc_time_ms: row.visit_ms,
             url: row.url,
+            transition: decodeTransition(row.transition),
+            duration_ms: row.duration_ms,
+            from_visit: row.from_visit || null,
             browser: browserName,
         };
     });
-    await db.close();
-    return browserHistory;
 }
 
+// Separates the folder names in the folder paths and the tags built by the Firefox bookmark query, char(31)
+const FOLDER_PATH_SEPARATOR = '\x1f';
+
 /**
- * Extract bookmarks from database using provided SQL query
+ * Extract bookmarks from database using provided SQL query. The folder_path and tags columns hold
+ * their names separated by FOLDER_PATH_SEPARATOR.
  * @param dbPath
  * @param sql
  * @param browserName
@@ -93,18 +740,28 @@ async function getHistoryFromDb(dbPath, sql, browserName) {
  */
 async function getBookmarksFromDb(dbPath, sql, browserName) {
     const db = await Database.open(dbPath);
-    const rows = await db.all(sql);
-    let bookmarks = rows.map(row => {
+    let rows;
+    try {
+        rows = await db.all(sql);
+    } finally {
+        await db.close();
+    }
+    return rows.map(row => {
         return {
             title: row.title,
-            added_time: row.added_time,
+            added_time: toIsoTime(row.added_ms),
+            added_time_ms: row.added_ms,
             url: row.url,
             folder: row.folder || 'Unknown',
+            folder_path: row.folder_path ? row.folder_path.split(FOLDER_PATH_SEPARATOR) : [],
+            tags: row.tags ? row.tags.split(FOLDER_PATH_SEPARATOR) : [],
+            keyword: row.keyword || null,
+            last_modified: toIsoTime(row.last_modified_ms),
+            last_modified_ms: row.last_modified_ms,
+            description: row.description || null,
             browser: browserName,
         };
     });
-    await db.close();
-    return bookmarks;
 }
 
 function copyDbAndWalFile(dbPath, fileExtension = 'sqlite') {
@@ -127,30 +784,256 @@ async function forceWalFileDump(tmpDbPath) {
     await db.close();
 }
 
-function deleteTempFiles(paths) {
-    paths.forEach(path => {
-        if (fs.existsSync(path)) {
-            fs.unlinkSync(path);
-        }
-    });
-}
+function deleteTempFiles(paths) {
+    paths.forEach(path => {
+        if (fs.existsSync(path)) {
+            fs.unlinkSync(path);
+        }
+    });
+}
+
+/**
+ * Copies the database and its wal file to the temp directory, hands the copy to the callback
+ * and removes the copy again once the callback has finished.
+ * @param dbPath
+ * @param callback receives the path of the copy
+ * @returns {Promise<*>} whatever the callback resolves with
+ */
+async function withDbCopy(dbPath, callback) {
+    const tmpFilePaths = copyDbAndWalFile(dbPath);
+    try {
+        await forceWalFileDump(tmpFilePaths.db);
+        return await callback(tmpFilePaths.db);
+    } finally {
+        deleteTempFiles([tmpFilePaths.db, tmpFilePaths.dbWal]);
+    }
+}
+
+/**
+ * How the databases of the browsers are opened:
+ * copy       a copy of the database and its wal file in the temp directory, the default
+ * readOnly   the database itself through the SQLite URI flag mode=ro, taking the same locks as the
+ *            browser so reads stay consistent while it writes
+ * immutable  the database itself through mode=ro&immutable=1, without locks and without reading the
+ *            wal file, so visits the browser has not checkpointed yet are missed
+ */
+const DB_ACCESS_MODES = {
+    COPY: 'copy',
+    READ_ONLY: 'readOnly',
+    IMMUTABLE: 'immutable',
+};
+
+// SQLite URI parameters of the modes reading the database in place
+const DB_ACCESS_URI_PARAMS = {
+    [DB_ACCESS_MODES.READ_ONLY]: { mode: 'ro' },
+    [DB_ACCESS_MODES.IMMUTABLE]: { mode: 'ro', immutable: 1 },
+};
+
+/**
+ * Checks the dbAccess option of a collector before anything is read
+ * @param dbAccess
+ * @returns {String} one of DB_ACCESS_MODES, "copy" when none is given
+ */
+function resolveDbAccess(dbAccess) {
+    if (dbAccess === undefined || dbAccess === null) {
+        return DB_ACCESS_MODES.COPY;
+    }
+    const modes = Object.values(DB_ACCESS_MODES);
+    if (!modes.includes(dbAccess)) {
+        throw new TypeError(`Unsupported dbAccess: ${dbAccess}, expected one of ${modes.join(', ')}`);
+    }
+    return dbAccess;
+}
+
+// Whether an error reading a database in place means the browser holds a lock on it
+function isLockedDbError(error, dbPath) {
+    return errors.toSourceError(error, dbPath) instanceof errors.LockedError;
+}
+
+/**
+ * Hands the callback the database to read, opened the way access asks for, see DB_ACCESS_MODES.
+ * A database read in place that the browser holds a lock on is read from a copy instead, so the
+ * callback may be called twice and must not have side effects before it has read the database.
+ * @param dbPath
+ * @param access one of DB_ACCESS_MODES
+ * @param callback receives the path or file: URI to pass to Database.open
+ * @returns {Promise<*>} whatever the callback resolves with
+ */
+async function withDb(dbPath, access, callback) {
+    if (access !== DB_ACCESS_MODES.COPY) {
+        try {
+            return await callback(Database.fileUri(dbPath, DB_ACCESS_URI_PARAMS[access]));
+        } catch (error) {
+            if (!isLockedDbError(error, dbPath)) {
+                throw error;
+            }
+        }
+    }
+    return withDbCopy(dbPath, callback);
+}
+
+/**
+ * Streams the rows of a query like streamRowsFromDb, from the database opened the way access asks
+ * for. A database read in place that turns out to be locked before the first row is read from a
+ * copy instead, which is removed once the consumer stops iterating.
+ * @param dbPath
+ * @param access one of DB_ACCESS_MODES
+ * @param sql
+ * @param params
+ * @returns {AsyncIterableIterator<object>}
+ */
+async function* streamRowsWithDb(dbPath, access, sql, params = []) {
+    if (access !== DB_ACCESS_MODES.COPY) {
+        let started = false;
+        try {
+            for await (const row of streamRowsFromDb(Database.fileUri(dbPath, DB_ACCESS_URI_PARAMS[access]), sql, params)) {
+                started = true;
+                yield row;
+            }
+            return;
+        } catch (error) {
+            if (started || !isLockedDbError(error, dbPath)) {
+                throw error;
+            }
+        }
+    }
+    const tmpFilePaths = copyDbAndWalFile(dbPath);
+    try {
+        await forceWalFileDump(tmpFilePaths.db);
+        yield* streamRowsFromDb(tmpFilePaths.db, sql, params);
+    } finally {
+        deleteTempFiles([tmpFilePaths.db, tmpFilePaths.dbWal]);
+    }
+}
+
+async function getChromeBasedBrowserRecords(paths, browserName, range, access = DB_ACCESS_MODES.COPY) {
+    if (!paths || paths.length === 0) {
+        return [];
+    }
+    let browserHistory = [];
+    const query = chromeHistoryQuery(range);
+    for (let i = 0; i < paths.length; i++) {
+        browserHistory.push(await withDb(paths[i], access, dbPath => {
+            return getHistoryFromDb(dbPath, query.sql, browserName, query.params);
+        }));
+    }
+    return browserHistory;
+}
+
+/**
+ * Extract individual visits from Chrome-based browsers
+ * @param paths
+ * @param browserName
+ * @param range
+ * @param afterVisitId only return the visits with a higher id
+ * @param access how the database is opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getChromeBasedBrowserVisits(paths, browserName, range, afterVisitId = null, access = DB_ACCESS_MODES.COPY) {
+    let allVisits = [];
+    const query = chromeVisitsQuery(range, afterVisitId);
+    for (let i = 0; i < paths.length; i++) {
+        const visits = await withDb(paths[i], access, dbPath => {
+            return getVisitsFromDb(dbPath, query.sql, browserName, query.params, decodeChromeTransition);
+        });
+        allVisits = allVisits.concat(visits);
+    }
+    return allVisits;
+}
+
+/**
+ * Extract downloads from the downloads and downloads_url_chains tables of Chrome-based browsers
+ * @param paths
+ * @param browserName
+ * @param range
+ * @param access how the database is opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getChromeBasedBrowserDownloads(paths, browserName, range, access = DB_ACCESS_MODES.COPY) {
+    let allDownloads = [];
+    const filter = timeRangeFilter('downloads.start_time', range, toChromeTime);
+    const downloadsSQL = `
+        SELECT
+            downloads.id,
+            downloads.target_path,
+            downloads.referrer,
+            downloads.total_bytes,
+            downloads.received_bytes,
+            downloads.mime_type,
+            downloads.state,
+            ${chromeEpochMsSql('downloads.start_time')} AS start_ms,
+            ${chromeEpochMsSql('downloads.end_time')} AS end_ms
+        FROM
+            downloads
+        WHERE ${filter.where}
+        ORDER BY downloads.start_time
+    `;
+    const urlChainsSQL = `SELECT id, url FROM downloads_url_chains ORDER BY id, chain_index`;
 
-async function getChromeBasedBrowserRecords(paths, browserName, historyTimeLength) {
-    if (!paths || paths.length === 0) {
-        return [];
+    for (let i = 0; i < paths.length; i++) {
+        const downloads = await withDb(paths[i], access, async dbPath => {
+            const db = await Database.open(dbPath);
+            try {
+                const rows = await db.all(downloadsSQL, filter.params);
+                const urlChains = {};
+                for (const chainRow of await db.all(urlChainsSQL)) {
+                    (urlChains[chainRow.id] = urlChains[chainRow.id] || []).push(chainRow.url);
+                }
+                return rows.map(row => toChromeDownloadRecord(row, urlChains[row.id] || [], browserName));
+            } finally {
+                await db.close();
+            }
+        });
+        allDownloads = allDownloads.concat(downloads);
     }
-    let newDbPaths = [];
-    let browserHistory = [];
+    return allDownloads;
+}
+
+/**
+ * Extract the omnibox searches Chrome-based browsers keep in keyword_search_terms
+ * @param paths
+ * @param browserName
+ * @param range
+ * @param access how the database is opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getChromeBasedBrowserSearchTerms(paths, browserName, range, access = DB_ACCESS_MODES.COPY) {
+    let allSearchTerms = [];
+    const filter = timeRangeFilter('urls.last_visit_time', range, toChromeTime);
+    const sql = `
+        SELECT
+            keyword_search_terms.term,
+            keyword_search_terms.normalized_term,
+            urls.url,
+            ${chromeEpochMsSql('urls.last_visit_time')} AS search_ms
+        FROM
+            keyword_search_terms
+            JOIN urls ON keyword_search_terms.url_id = urls.id
+        WHERE urls.last_visit_time > 0 AND ${filter.where}
+        ORDER BY urls.last_visit_time
+    `;
     for (let i = 0; i < paths.length; i++) {
-        let newDbPath = path.join(getTempDir(), uuidV4() + ".sqlite");
-        newDbPaths.push(newDbPath);
-        let sql = `SELECT title, datetime(last_visit_time/1000000 + (strftime('%s', '1601-01-01')),'unixepoch') last_visit_time, url from urls WHERE DATETIME (last_visit_time/1000000 + (strftime('%s', '1601-01-01')), 'unixepoch')  >= DATETIME('now', '-${historyTimeLength} minutes') group by title, last_visit_time order by last_visit_time`;
-        //Assuming the sqlite file is locked so lets make a copy of it
-        fs.copyFileSync(paths[i], newDbPath);
-        browserHistory.push(await getHistoryFromDb(newDbPath, sql, browserName));
-    }
-    deleteTempFiles(newDbPaths);
-    return browserHistory;
+        const rows = await withDb(paths[i], access, async dbPath => {
+            const db = await Database.open(dbPath);
+            try {
+                return await db.all(sql, filter.params);
+            } finally {
+                await db.close();
+            }
+        });
+        allSearchTerms = allSearchTerms.concat(rows.map(row => {
+            return {
+                term: row.term,
+                normalized_term: normalizeSearchTerm(row.normalized_term || row.term),
+                search_engine: searchEngineName(row.url),
+                url: row.url,
+                utc_time: toIsoTime(row.search_ms),
+                utc_time_ms: row.search_ms,
+                browser: browserName,
+            };
+        }));
+    }
+    return allSearchTerms;
 }
 
 /**
@@ -177,7 +1060,7 @@ async function getChromeBasedBrowserBookmarks(paths, browserName) {
                 const extractedBookmarks = extractChromeBookmarks(bookmarksJson, browserName);
                 allBookmarks = allBookmarks.concat(extractedBookmarks);
             } catch (error) {
-                console.error(`Error reading Chrome bookmarks from ${bookmarksPath}:`, error);
+                throw errors.toSourceError(error, bookmarksPath);
             }
         }
     }
@@ -185,14 +1068,106 @@ async function getChromeBasedBrowserBookmarks(paths, browserName) {
     return allBookmarks;
 }
 
+/**
+ * Read the bookmark folder hierarchy of Chrome-based browsers, one tree per Bookmarks file.
+ * The roots are the bookmark bar, other bookmarks and mobile bookmarks folders.
+ * @param paths
+ * @param browserName
+ * @returns {Promise<array>}
+ */
+async function getChromeBasedBrowserBookmarkTree(paths, browserName) {
+    let trees = [];
+
+    for (let i = 0; i < paths.length; i++) {
+        const bookmarksPath = path.join(path.dirname(paths[i]), 'Bookmarks');
+        if (!fs.existsSync(bookmarksPath)) {
+            continue;
+        }
+        try {
+            const bookmarksJson = JSON.parse(fs.readFileSync(bookmarksPath, 'utf8'));
+            const roots = Object.values(bookmarksJson.roots || {})
+                .filter(root => root && typeof root === 'object' && root.type === 'folder');
+            trees.push({
+                browser: browserName,
+                source: bookmarksPath,
+                roots: roots.map(toChromeBookmarkNode),
+            });
+        } catch (error) {
+            throw errors.toSourceError(error, bookmarksPath);
+        }
+    }
+
+    return trees;
+}
+
+/**
+ * Turns a node of Chrome's Bookmarks JSON into a bookmark tree node, keeping the order of its children
+ * @param node
+ * @returns {Object}
+ */
+function toChromeBookmarkNode(node) {
+    const addedMs = chromeTimeToEpochMs(node.date_added);
+    const lastModifiedMs = chromeTimeToEpochMs(node.date_modified);
+    const lastUsedMs = chromeTimeToEpochMs(node.date_last_used);
+    const treeNode = {
+        type: node.type === 'url' ? 'bookmark' : 'folder',
+        id: node.id,
+        guid: node.guid || null,
+        title: node.name || '',
+        added_time: toIsoTime(addedMs),
+        added_time_ms: addedMs,
+        last_modified: toIsoTime(lastModifiedMs),
+        last_modified_ms: lastModifiedMs,
+        date_last_used: toIsoTime(lastUsedMs),
+        date_last_used_ms: lastUsedMs,
+    };
+    if (node.type === 'url') {
+        treeNode.url = node.url;
+    } else {
+        treeNode.children = (node.children || []).map(toChromeBookmarkNode);
+    }
+    return treeNode;
+}
+
+/**
+ * Read the open windows and tabs of Chrome-based browsers from the newest Sessions/Session_* file
+ * in each profile directory and the recently closed tabs from the newest Sessions/Tabs_* file.
+ * Both are append only command logs, so they are read without copying them first.
+ * @param paths profile directories
+ * @param browserName
+ * @returns {Promise<array>}
+ */
+async function getChromeBasedBrowserOpenTabs(paths, browserName) {
+    let allSessions = [];
+
+    for (let i = 0; i < paths.length; i++) {
+        const sessionFiles = sessions.findChromiumSessionFiles(paths[i]);
+        if (!sessionFiles.session) {
+            continue;
+        }
+        try {
+            allSessions.push({
+                browser: browserName,
+                source: sessionFiles.session,
+                windows: sessions.toChromiumWindows(sessions.readSnssCommands(sessionFiles.session)),
+                closed_tabs: sessionFiles.tabs ? sessions.toChromiumClosedTabs(sessions.readSnssCommands(sessionFiles.tabs)) : [],
+            });
+        } catch (error) {
+            throw errors.toSourceError(error, sessionFiles.session);
+        }
+    }
+
+    return allSessions;
+}
+
 /**
  * Recursively extract bookmarks from Chrome JSON structure
  * @param node
  * @param browserName
- * @param folder
+ * @param folderPath names of the folders leading to the node, starting with its root
  * @returns {array}
  */
-function extractChromeBookmarks(node, browserName, folder = 'Unknown') {
+function extractChromeBookmarks(node, browserName, folderPath = []) {
     let bookmarks = [];
 
     if (node.roots) {
@@ -200,24 +1175,33 @@ function extractChromeBookmarks(node, browserName, folder = 'Unknown') {
         for (const [key, value] of Object.entries(node.roots)) {
             if (value && typeof value === 'object') {
                 const folderName = value.name || key;
-                bookmarks = bookmarks.concat(extractChromeBookmarks(value, browserName, folderName));
+                bookmarks = bookmarks.concat(extractChromeBookmarks(value, browserName, [folderName]));
             }
         }
     } else if (node.children && Array.isArray(node.children)) {
         // Process children
         for (const child of node.children) {
             if (child.type === 'url') {
-                // This is a bookmark
+                // This is a bookmark, Chrome has no tags, keywords or descriptions for bookmarks
+                const addedMs = chromeTimeToEpochMs(child.date_added);
+                const lastModifiedMs = chromeTimeToEpochMs(child.date_modified);
                 bookmarks.push({
                     title: child.name || 'Untitled',
-                    added_time: new Date(parseInt(child.date_added) / 1000).toISOString(), // Chrome uses microseconds since Windows epoch
+                    added_time: toIsoTime(addedMs),
+                    added_time_ms: addedMs,
                     url: child.url,
-                    folder: folder,
+                    folder: folderPath[folderPath.length - 1] || 'Unknown',
+                    folder_path: folderPath,
+                    tags: [],
+                    keyword: null,
+                    last_modified: toIsoTime(lastModifiedMs),
+                    last_modified_ms: lastModifiedMs,
+                    description: null,
                     browser: browserName
                 });
             } else if (child.type === 'folder') {
                 // This is a folder, recurse into it
-                bookmarks = bookmarks.concat(extractChromeBookmarks(child, browserName, child.name || 'Unknown'));
+                bookmarks = bookmarks.concat(extractChromeBookmarks(child, browserName, folderPath.concat(child.name || 'Unknown')));
             }
         }
     }
@@ -225,359 +1209,1600 @@ function extractChromeBookmarks(node, browserName, folder = 'Unknown') {
     return bookmarks;
 }
 
-async function getMozillaBasedBrowserRecords(paths, browserName, historyTimeLength) {
+async function getMozillaBasedBrowserRecords(paths, browserName, range, access = DB_ACCESS_MODES.COPY) {
     if (!paths || paths.length === 0) {
         return [];
     }
-    let newDbPaths = [];
     let browserHistory = [];
+    const query = mozillaHistoryQuery(range);
     for (let i = 0; i < paths.length; i++) {
-        const tmpFilePaths = copyDbAndWalFile(paths[i]);
-        console.log(tmpFilePaths)
-        newDbPaths.push(tmpFilePaths.db);
-        let sql = `SELECT title, datetime(last_visit_date/1000000,'unixepoch') last_visit_time, url from moz_places WHERE DATETIME (last_visit_date/1000000, 'unixepoch')  >= DATETIME('now', '-${historyTimeLength} minutes')  group by title, last_visit_time order by last_visit_time`;
-        await forceWalFileDump(tmpFilePaths.db);
-        browserHistory.push(await getHistoryFromDb(tmpFilePaths.db, sql, browserName));
+        browserHistory.push(await withDb(paths[i], access, dbPath => {
+            return getHistoryFromDb(dbPath, query.sql, browserName, query.params);
+        }));
     }
-    deleteTempFiles(newDbPaths);
     return browserHistory;
 }
 
+/**
+ * Extract individual visits from Mozilla-based browsers (Firefox, SeaMonkey).
+ * Firefox does not record how long a page was viewed so duration_ms is always null.
+ * @param paths
+ * @param browserName
+ * @param range
+ * @param afterVisitId only return the visits with a higher id
+ * @param access how the database is opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getMozillaBasedBrowserVisits(paths, browserName, range, afterVisitId = null, access = DB_ACCESS_MODES.COPY) {
+    let allVisits = [];
+    const query = mozillaVisitsQuery(range, afterVisitId);
+    for (let i = 0; i < paths.length; i++) {
+        const visits = await withDb(paths[i], access, dbPath => {
+            return getVisitsFromDb(dbPath, query.sql, browserName, query.params, decodeMozillaTransition);
+        });
+        allVisits = allVisits.concat(visits);
+    }
+    return allVisits;
+}
+
+/**
+ * Extract downloads from Mozilla-based browsers (Firefox, SeaMonkey). Firefox keeps its download
+ * history as annotations on the downloaded url in moz_annos. The referrer is the page the
+ * download visit came from.
+ * @param paths
+ * @param browserName
+ * @param range
+ * @param access how the database is opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getMozillaBasedBrowserDownloads(paths, browserName, range, access = DB_ACCESS_MODES.COPY) {
+    let allDownloads = [];
+    const filter = timeRangeFilter('destination.dateAdded', range, toMozillaTime);
+    const sql = `
+        SELECT
+            destination.id,
+            moz_places.url,
+            destination.content AS target_uri,
+            meta_data.content AS meta_data,
+            ${mozillaEpochMsSql('destination.dateAdded')} AS start_ms,
+            (
+                SELECT referrer_place.url
+                FROM
+                    moz_historyvisits AS download_visit
+                    JOIN moz_historyvisits AS referrer_visit ON download_visit.from_visit = referrer_visit.id
+                    JOIN moz_places AS referrer_place ON referrer_visit.place_id = referrer_place.id
+                WHERE
+                    download_visit.place_id = moz_places.id
+                    AND download_visit.visit_type = 7
+                ORDER BY download_visit.visit_date DESC
+                LIMIT 1
+            ) AS referrer
+        FROM
+            moz_annos AS destination
+            JOIN moz_anno_attributes AS destination_attribute
+                ON destination.anno_attribute_id = destination_attribute.id
+                AND destination_attribute.name = 'downloads/destinationFileURI'
+            JOIN moz_places ON destination.place_id = moz_places.id
+            LEFT JOIN moz_anno_attributes AS meta_data_attribute
+                ON meta_data_attribute.name = 'downloads/metaData'
+            LEFT JOIN moz_annos AS meta_data
+                ON meta_data.place_id = destination.place_id
+                AND meta_data.anno_attribute_id = meta_data_attribute.id
+        WHERE ${filter.where}
+        ORDER BY destination.dateAdded
+    `;
+    for (let i = 0; i < paths.length; i++) {
+        const downloads = await withDb(paths[i], access, async dbPath => {
+            const db = await Database.open(dbPath);
+            try {
+                const rows = await db.all(sql, filter.params);
+                return rows.map(row => toMozillaDownloadRecord(row, browserName));
+            } finally {
+                await db.close();
+            }
+        });
+        allDownloads = allDownloads.concat(downloads);
+    }
+    return allDownloads;
+}
+
+/**
+ * Extract search terms from Mozilla-based browsers (Firefox, SeaMonkey). Firefox does not keep
+ * its searches apart, so they are recovered from the urls of known search engines' result pages.
+ * @param paths
+ * @param browserName
+ * @param range
+ * @param access how the database is opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getMozillaBasedBrowserSearchTerms(paths, browserName, range, access = DB_ACCESS_MODES.COPY) {
+    let allSearchTerms = [];
+    const filter = timeRangeFilter('moz_places.last_visit_date', range, toMozillaTime);
+    const sql = `
+        SELECT
+            url,
+            ${mozillaEpochMsSql('last_visit_date')} AS search_ms
+        FROM
+            moz_places
+        WHERE
+            last_visit_date > 0
+            AND ${filter.where}
+            AND url LIKE 'http%?%'
+        ORDER BY last_visit_date
+    `;
+    for (let i = 0; i < paths.length; i++) {
+        const rows = await withDb(paths[i], access, async dbPath => {
+            const db = await Database.open(dbPath);
+            try {
+                return await db.all(sql, filter.params);
+            } finally {
+                await db.close();
+            }
+        });
+        for (const row of rows) {
+            const search = parseSearchUrl(row.url);
+            if (!search) {
+                continue;
+            }
+            allSearchTerms.push({
+                term: search.term,
+                normalized_term: normalizeSearchTerm(search.term),
+                search_engine: search.engine,
+                url: row.url,
+                utc_time: toIsoTime(row.search_ms),
+                utc_time_ms: row.search_ms,
+                browser: browserName,
+            });
+        }
+    }
+    return allSearchTerms;
+}
+
+// The tags root holds a folder per tag rather than bookmarks, it is left out of bookmark lists and trees
+const MOZILLA_TAGS_ROOT_GUID = 'tags________';
+
+/**
+ * Lists the columns of a table
+ * @param dbPath
+ * @param table
+ * @returns {Promise<array>}
+ */
+async function getTableColumns(dbPath, table) {
+    const db = await Database.open(dbPath);
+    try {
+        const columns = await db.all(`PRAGMA table_info(${table})`);
+        return columns.map(column => column.name);
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Builds the Firefox bookmark query. Tags are the titles of the folders under the tags root that
+ * hold an entry for the bookmarked url, keywords live in moz_keywords. Firefox 62 and later keep
+ * the description of the page in moz_places, older versions and SeaMonkey have none.
+ * @param includeNonHttp also select bookmarks of file:, place: and javascript: urls
+ * @param hasDescription whether moz_places has a description column
+ * @returns {string}
+ */
+function mozillaBookmarksQuery(includeNonHttp, hasDescription) {
+    return `
+        WITH RECURSIVE folder_paths(id, path) AS (
+            SELECT id, '' FROM moz_bookmarks WHERE parent = 0
+            UNION ALL
+            SELECT
+                moz_bookmarks.id,
+                CASE WHEN folder_paths.path = '' THEN moz_bookmarks.title
+                     ELSE folder_paths.path || char(31) || moz_bookmarks.title END
+            FROM moz_bookmarks JOIN folder_paths ON moz_bookmarks.parent = folder_paths.id
+            WHERE moz_bookmarks.type = 2
+        ),
+        tags_root AS (
+            SELECT id FROM moz_bookmarks WHERE guid = '${MOZILLA_TAGS_ROOT_GUID}'
+        )
+        SELECT
+            ${mozillaEpochMsSql('moz_bookmarks.dateAdded')} AS added_ms,
+            ${mozillaEpochMsSql('moz_bookmarks.lastModified')} AS last_modified_ms,
+            url,
+            moz_bookmarks.title,
+            moz_folder.title as folder,
+            folder_paths.path as folder_path,
+            (
+                SELECT group_concat(tag.title, char(31))
+                FROM moz_bookmarks AS tag_entry
+                    JOIN moz_bookmarks AS tag ON tag_entry.parent = tag.id
+                WHERE tag_entry.fk = moz_places.id AND tag.parent IN tags_root
+            ) AS tags,
+            (SELECT keyword FROM moz_keywords WHERE moz_keywords.place_id = moz_places.id LIMIT 1) AS keyword,
+            ${hasDescription ? 'moz_places.description' : 'NULL'} AS description
+        FROM
+            moz_bookmarks
+            JOIN moz_places ON moz_bookmarks.fk = moz_places.id
+            JOIN moz_bookmarks as moz_folder ON moz_bookmarks.parent = moz_folder.id
+            LEFT JOIN folder_paths ON moz_bookmarks.parent = folder_paths.id
+        WHERE
+            moz_bookmarks.dateAdded IS NOT NULL
+            ${includeNonHttp ? '' : "AND url LIKE 'http%'"}
+            AND moz_bookmarks.title IS NOT NULL
+            AND moz_folder.parent NOT IN tags_root
+    `;
+}
+
 /**
  * Extract bookmarks from Mozilla-based browsers (Firefox, SeaMonkey)
  * @param paths
  * @param browserName
+ * @param includeNonHttp also return bookmarks of file:, place: and javascript: urls
+ * @param access how the databases are opened, see DB_ACCESS_MODES
  * @returns {Promise<array>}
  */
-async function getMozillaBasedBrowserBookmarks(paths, browserName) {
+async function getMozillaBasedBrowserBookmarks(paths, browserName, includeNonHttp = false, access = DB_ACCESS_MODES.COPY) {
     if (!paths || paths.length === 0) {
         return [];
     }
 
-    let newDbPaths = [];
     let allBookmarks = [];
 
     for (let i = 0; i < paths.length; i++) {
-        const tmpFilePaths = copyDbAndWalFile(paths[i]);
-        newDbPaths.push(tmpFilePaths.db);
-
         // Firefox stores bookmarks in the same places.sqlite file as history
-        const bookmarksSQL = `
-            SELECT
-                datetime(
-                    moz_bookmarks.dateAdded/1000000,'unixepoch','localtime'
-                ) AS added_time,
-                url, 
-                moz_bookmarks.title, 
-                moz_folder.title as folder
-            FROM
-                moz_bookmarks 
-                JOIN moz_places ON moz_bookmarks.fk = moz_places.id
-                JOIN moz_bookmarks as moz_folder ON moz_bookmarks.parent = moz_folder.id
-            WHERE
-                moz_bookmarks.dateAdded IS NOT NULL 
-                AND url LIKE 'http%'
-                AND moz_bookmarks.title IS NOT NULL
-        `;
+        const bookmarks = await withDb(paths[i], access, async dbPath => {
+            const columns = await getTableColumns(dbPath, 'moz_places');
+            const bookmarksSQL = mozillaBookmarksQuery(includeNonHttp, columns.includes('description'));
+            return getBookmarksFromDb(dbPath, bookmarksSQL, browserName);
+        });
+        allBookmarks = allBookmarks.concat(bookmarks);
+    }
+
+    return allBookmarks;
+}
+
+// moz_bookmarks.type values
+const MOZILLA_BOOKMARK_TYPES = {
+    1: 'bookmark',
+    2: 'folder',
+    3: 'separator',
+};
+
+/**
+ * Read the bookmark folder hierarchy of Mozilla-based browsers (Firefox, SeaMonkey). The roots are
+ * the bookmarks menu, toolbar, other bookmarks and mobile bookmarks folders, children are ordered
+ * by their moz_bookmarks.position. Firefox does not record when a bookmark was last used.
+ * @param paths
+ * @param browserName
+ * @param access how the database is opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getMozillaBasedBrowserBookmarkTree(paths, browserName, access = DB_ACCESS_MODES.COPY) {
+    let trees = [];
+    const sql = `
+        SELECT
+            moz_bookmarks.id,
+            moz_bookmarks.guid,
+            moz_bookmarks.type,
+            moz_bookmarks.parent,
+            moz_bookmarks.title,
+            moz_bookmarks.dateAdded AS date_added,
+            moz_bookmarks.lastModified AS last_modified,
+            moz_places.url
+        FROM
+            moz_bookmarks
+            LEFT JOIN moz_places ON moz_bookmarks.fk = moz_places.id
+        ORDER BY moz_bookmarks.parent, moz_bookmarks.position
+    `;
+
+    for (let i = 0; i < paths.length; i++) {
+        const rows = await withDb(paths[i], access, async dbPath => {
+            const db = await Database.open(dbPath);
+            try {
+                return await db.all(sql);
+            } finally {
+                await db.close();
+            }
+        });
+        trees.push({
+            browser: browserName,
+            source: paths[i],
+            roots: buildMozillaBookmarkTree(rows),
+        });
+    }
+
+    return trees;
+}
+
+/**
+ * Builds the bookmark tree from moz_bookmarks rows ordered by parent and position
+ * @param rows
+ * @returns {Array} the children of the places root
+ */
+function buildMozillaBookmarkTree(rows) {
+    let nodes = new Map();
+    for (const row of rows) {
+        const type = MOZILLA_BOOKMARK_TYPES[row.type] || 'bookmark';
+        const addedMs = mozillaTimeToEpochMs(row.date_added);
+        const lastModifiedMs = mozillaTimeToEpochMs(row.last_modified);
+        let node = {
+            type: type,
+            id: row.id,
+            guid: row.guid,
+            title: row.title || '',
+            added_time: toIsoTime(addedMs),
+            added_time_ms: addedMs,
+            last_modified: toIsoTime(lastModifiedMs),
+            last_modified_ms: lastModifiedMs,
+            date_last_used: null,
+            date_last_used_ms: null,
+        };
+        if (type === 'bookmark') {
+            node.url = row.url;
+        } else if (type === 'folder') {
+            node.children = [];
+        }
+        nodes.set(row.id, node);
+    }
+
+    let roots = [];
+    for (const row of rows) {
+        const parent = nodes.get(row.parent);
+        if (row.parent === 0) {
+            roots = nodes.get(row.id).children;
+        } else if (parent && parent.children && row.guid !== MOZILLA_TAGS_ROOT_GUID) {
+            parent.children.push(nodes.get(row.id));
+        }
+    }
+    return roots;
+}
 
+/**
+ * Read the open windows and tabs of Mozilla-based browsers (Firefox, SeaMonkey) from the
+ * session file in each profile directory. The session file is rewritten while the browser
+ * runs, so it is read as a whole and never locked.
+ * @param paths profile directories
+ * @param browserName
+ * @returns {Promise<array>}
+ */
+async function getMozillaBasedBrowserOpenTabs(paths, browserName) {
+    let allSessions = [];
+
+    for (let i = 0; i < paths.length; i++) {
+        const sessionPath = sessions.findMozillaSessionFile(paths[i]);
+        if (!sessionPath) {
+            continue;
+        }
         try {
-            await forceWalFileDump(tmpFilePaths.db);
-            const bookmarks = await getBookmarksFromDb(tmpFilePaths.db, bookmarksSQL, browserName);
-            allBookmarks = allBookmarks.concat(bookmarks);
+            const session = sessions.readMozillaSession(sessionPath);
+            allSessions.push({
+                browser: browserName,
+                source: sessionPath,
+                windows: sessions.toMozillaWindows(session),
+                closed_tabs: sessions.toMozillaClosedTabs(session),
+            });
         } catch (error) {
-            console.error(`Error extracting bookmarks from ${browserName}:`, error);
+            throw errors.toSourceError(error, sessionPath);
         }
     }
 
-    deleteTempFiles(newDbPaths);
-    return allBookmarks;
+    return allSessions;
+}
+
+async function getMaxthonBasedBrowserRecords(paths, browserName, range) {
+    let browserHistory = [];
+    const query = maxthonHistoryQuery(range);
+    for (let i = 0; i < paths.length; i++) {
+        browserHistory.push(await getHistoryFromDb(paths[i], query.sql, browserName, query.params));
+    }
+    return browserHistory;
 }
 
-async function getMaxthonBasedBrowserRecords(paths, browserName, historyTimeLength) {
+/**
+ * Extract history from Safari's History.db
+ * @param paths
+ * @param browserName
+ * @param range
+ * @param access how the database is opened, see DB_ACCESS_MODES
+ * @returns {Promise<array>}
+ */
+async function getSafariBasedBrowserRecords(paths, browserName, range, access = DB_ACCESS_MODES.COPY) {
     let browserHistory = [];
+    const query = safariHistoryQuery(range);
     for (let i = 0; i < paths.length; i++) {
-        let sql = `SELECT zlastvisittime last_visit_time, zhost host, ztitle title, zurl url FROM zmxhistoryentry WHERE  Datetime (zlastvisittime + 978307200, 'unixepoch') >= Datetime('now', '-${historyTimeLength} minutes')`;
-        browserHistory.push(await getHistoryFromDb(paths[i], sql, browserName));
+        browserHistory.push(await withDb(paths[i], access, dbPath => {
+            return getHistoryFromDb(dbPath, query.sql, browserName, query.params);
+        }));
     }
     return browserHistory;
 }
 
-// BOOKMARK FUNCTIONS
-
+// Names Safari shows for its top level bookmark folders
+const SAFARI_FOLDER_NAMES = {
+    BookmarksBar: "Favorites",
+    BookmarksMenu: "Bookmarks Menu",
+    "com.apple.ReadingList": "Reading List",
+};
+
+/**
+ * Extract bookmarks from Safari, stored in 'Bookmarks.plist' (binary plist) in the same directory as History.db
+ * @param paths
+ * @param browserName
+ * @returns {Promise<array>}
+ */
+async function getSafariBasedBrowserBookmarks(paths, browserName) {
+    if (!paths || paths.length === 0) {
+        return [];
+    }
+
+    let allBookmarks = [];
+
+    for (let i = 0; i < paths.length; i++) {
+        const bookmarksPath = path.join(path.dirname(paths[i]), 'Bookmarks.plist');
+
+        if (fs.existsSync(bookmarksPath)) {
+            try {
+                const bookmarksPlist = parseBinaryPlist(fs.readFileSync(bookmarksPath));
+                allBookmarks = allBookmarks.concat(extractSafariBookmarks(bookmarksPlist, browserName));
+            } catch (error) {
+                throw errors.toSourceError(error, bookmarksPath);
+            }
+        }
+    }
+
+    return allBookmarks;
+}
+
+/**
+ * Recursively extract bookmarks from Safari plist structure. Safari only records when
+ * Reading List items were added, other bookmarks have a null added_time.
+ * @param node
+ * @param browserName
+ * @param folderPath names of the folders leading to the node
+ * @returns {array}
+ */
+function extractSafariBookmarks(node, browserName, folderPath = []) {
+    let bookmarks = [];
+
+    // Proxies such as the History entry hold no bookmarks and are skipped
+    for (const child of node.Children || []) {
+        if (child.WebBookmarkType === 'WebBookmarkTypeLeaf') {
+            const readingList = child.ReadingList || {};
+            const addedMs = readingList.DateAdded instanceof Date ? readingList.DateAdded.getTime() : null;
+            bookmarks.push({
+                title: (child.URIDictionary && child.URIDictionary.title) || 'Untitled',
+                added_time: toIsoTime(addedMs),
+                added_time_ms: addedMs,
+                url: child.URLString,
+                folder: folderPath[folderPath.length - 1] || 'Unknown',
+                folder_path: folderPath,
+                tags: [],
+                keyword: null,
+                last_modified: null,
+                last_modified_ms: null,
+                description: null,
+                browser: browserName
+            });
+        } else if (child.WebBookmarkType === 'WebBookmarkTypeList') {
+            const folderName = SAFARI_FOLDER_NAMES[child.Title] || child.Title || 'Unknown';
+            bookmarks = bookmarks.concat(extractSafariBookmarks(child, browserName, folderPath.concat(folderName)));
+        }
+    }
+
+    return bookmarks;
+}
+
+// DOWNLOAD FUNCTIONS
+
+/**
+ * Gets the downloads of the given browsers started between two absolute points in time.
+ * Each download has its target path, the url it was downloaded from and the chain of urls
+ * that led there, the referrer, its size, mime type, start and end time and its state:
+ * in_progress, complete, cancelled, interrupted or blocked.
+ * Firefox does not record the mime type or the redirects a download went through.
+ * @param options same options as getHistory
+ * @returns {Promise<{records: Array|Object, sources: Array}>}
+ */
+async function getDownloads(options = {}) {
+    const shape = resolveShape(options.shape);
+    const access = resolveDbAccess(options.dbAccess);
+    const browserNames = resolveBrowserNames(options.browsers);
+    const range = createTimeRange(options.since, options.until);
+    let allDownloads = [];
+    let sources = [];
+
+    for (const browserName of browserNames) {
+        for (const profile of findBrowserProfiles(browserName, options, sources)) {
+            const downloads = await readSource(sources, browserName, profile, profile.historyPath, () => {
+                return getBrowserDownloads([profile.historyPath], browserName, range, access);
+            });
+            allDownloads = allDownloads.concat(downloads);
+        }
+    }
+
+    return { records: shapeRecords(allDownloads, shape, RECORD_ORDERS.downloads), sources };
+}
+
+// SEARCH FUNCTIONS
+
+/**
+ * Gets the searches made in the given browsers between two absolute points in time.
+ * Each search has the term as typed, the normalized term (lower case, single spaced), the search
+ * engine and the time of the search. Chrome-based browsers record omnibox searches themselves,
+ * for Firefox they are recovered from the result page urls of well known search engines.
+ * @param options same options as getHistory
+ * @returns {Promise<{records: Array|Object, sources: Array}>}
+ */
+async function getSearchTerms(options = {}) {
+    const shape = resolveShape(options.shape);
+    const access = resolveDbAccess(options.dbAccess);
+    const browserNames = resolveBrowserNames(options.browsers);
+    const range = createTimeRange(options.since, options.until);
+    let allSearchTerms = [];
+    let sources = [];
+
+    for (const browserName of browserNames) {
+        for (const profile of findBrowserProfiles(browserName, options, sources)) {
+            const searchTerms = await readSource(sources, browserName, profile, profile.historyPath, () => {
+                return getBrowserSearchTerms([profile.historyPath], browserName, range, access);
+            });
+            allSearchTerms = allSearchTerms.concat(searchTerms);
+        }
+    }
+
+    return { records: shapeRecords(allSearchTerms, shape, RECORD_ORDERS.searchTerms), sources };
+}
+
+/**
+ * Gets the bookmark folder hierarchy of the given browsers and profiles, one tree per profile.
+ * Each tree has its roots, e.g. the bookmark bar, each node its type (folder, bookmark or separator),
+ * id, guid, title, added_time, last_modified and date_last_used times, bookmarks their url and folders
+ * their children in the order the browser shows them.
+ * @param options same options as getBookmarks
+ * @returns {Promise<{records: Array|Object, sources: Array}>}
+ */
+async function getBookmarkTree(options = {}) {
+    const shape = resolveShape(options.shape);
+    const access = resolveDbAccess(options.dbAccess);
+    let allTrees = [];
+    let sources = [];
+    for (const browserName of resolveBrowserNames(options.browsers)) {
+        for (const profile of findBrowserProfiles(browserName, options, sources)) {
+            const trees = await readSource(sources, browserName, profile, profile.bookmarksPath, () => {
+                return getBrowserBookmarkTree([profile.bookmarksPath], browserName, access);
+            });
+            allTrees = allTrees.concat(trees);
+        }
+    }
+    return { records: shapeRecords(allTrees, shape, RECORD_ORDERS.bookmarkTrees), sources };
+}
+
+// TAB FUNCTIONS
+
+/**
+ * Gets the windows and tabs that are open right now in the given browsers, one session per profile.
+ * Each window has its tabs in order, each tab its title and url, whether it is pinned, hidden or
+ * selected, when it was last accessed, its history entries with the index of the current one and
+ * the tab group it is in. The recently closed tabs are listed in closed_tabs.
+ * Chromium-based browsers are read from their SNSS session files, Firefox and SeaMonkey from
+ * their session store.
+ * @param options
+ * @param options.browsers browser names or keys. Defaults to all supported browsers
+ * @param options.profiles profiles returned by listProfiles, their ids, names, directory names or paths.
+ *                         Defaults to every profile
+ * @param options.paths directories to look in instead of the default locations, see getHistory
+ * @param options.shape "flat", "byBrowser" or "byProfile", see getHistory
+ * @returns {Promise<{records: Array|Object, sources: Array}>}
+ */
+async function getOpenTabs(options = {}) {
+    const shape = resolveShape(options.shape);
+    let allSessions = [];
+    let sources = [];
+
+    for (const browserName of resolveBrowserNames(options.browsers)) {
+        for (const profile of findBrowserProfiles(browserName, options, sources)) {
+            const sessions = await readSource(sources, browserName, profile, profile.path, () => {
+                return getBrowserOpenTabs([profile.path], browserName);
+            });
+            allSessions = allSessions.concat(sessions);
+        }
+    }
+
+    return { records: shapeRecords(allSessions, shape, RECORD_ORDERS.sessions), sources };
+}
+
+// PROFILE FUNCTIONS
+
+/**
+ * Lists the profiles of the given browsers. Chromium-based browsers are read from their
+ * Local State file, Mozilla-based browsers from profiles.ini and installs.ini.
+ * Each profile has its id, display name, signed in account, whether it is the default profile
+ * and the paths of its history and bookmark files. Profiles can be passed on to the history
+ * and bookmark functions through their profiles option.
+ * @param options
+ * @param options.browsers browser names or keys. Defaults to all supported browsers
+ * @param options.paths directories to look in instead of the default locations, see getHistory
+ * @returns {Promise<array>}
+ */
+async function listProfiles(options = {}) {
+    let allProfiles = [];
+    for (const browserName of resolveBrowserNames(options.browsers)) {
+        allProfiles = allProfiles.concat(findBrowserProfiles(browserName, { paths: options.paths }));
+    }
+    return allProfiles;
+}
+
+// BOOKMARK FUNCTIONS
+
+/**
+ * Gets the bookmarks of the given browsers and profiles, newest first.
+ * Each bookmark is tagged with the id and name of the profile it was read from.
+ * @param options
+ * @param options.browsers browser names or keys. Defaults to all supported browsers
+ * @param options.profiles profiles returned by listProfiles, their ids, names, directory names or paths.
+ *                         Defaults to every profile
+ * @param options.paths directories to look in instead of the default locations, see getHistory
+ * @param options.includeNonHttp also return Firefox bookmarks of file:, place: and javascript: urls, e.g.
+ *                               bookmarklets. Defaults to false
+ * @param options.shape "flat", "byBrowser" or "byProfile", see getHistory
+ * @param options.dbAccess how the Firefox and SeaMonkey databases are opened, see getHistory
+ * @returns {Promise<{records: Array|Object, sources: Array}>}
+ */
+async function getBookmarks(options = {}) {
+    const shape = resolveShape(options.shape);
+    const access = resolveDbAccess(options.dbAccess);
+    let allBookmarks = [];
+    let sources = [];
+    for (const browserName of resolveBrowserNames(options.browsers)) {
+        for (const profile of findBrowserProfiles(browserName, options, sources)) {
+            const bookmarks = await readSource(sources, browserName, profile, profile.bookmarksPath, () => {
+                return getBrowserBookmarks([profile.bookmarksPath], browserName, options.includeNonHttp, access);
+            });
+            allBookmarks = allBookmarks.concat(bookmarks);
+        }
+    }
+    return { records: shapeRecords(allBookmarks, shape, RECORD_ORDERS.bookmarks), sources };
+}
+
+/**
+ * Gets the bookmarks of one browser for the legacy functions, which return the records without the
+ * sources. Profiles that can not be read are left out.
+ * @param browserName
+ * @param options shape, profiles, paths, includeNonHttp and dbAccess as for getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getLegacyBookmarks(browserName, options = {}) {
+    return (await getBookmarks(Object.assign({}, options, { browsers: [browserName] }))).records;
+}
+
 /**
  * Gets Firefox bookmarks
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
  */
-async function getFirefoxBookmarks() {
-    browsers.browserDbLocations.firefox = browsers.findPaths(browsers.defaultPaths.firefox, browsers.FIREFOX);
-    return getBrowserBookmarks(browsers.browserDbLocations.firefox, browsers.FIREFOX);
+async function getFirefoxBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.FIREFOX, options);
 }
 
 /**
  * Gets SeaMonkey bookmarks
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
  */
-async function getSeaMonkeyBookmarks() {
-    browsers.browserDbLocations.seamonkey = browsers.findPaths(browsers.defaultPaths.seamonkey, browsers.SEAMONKEY);
-    return getBrowserBookmarks(browsers.browserDbLocations.seamonkey, browsers.SEAMONKEY);
+async function getSeaMonkeyBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.SEAMONKEY, options);
 }
 
 /**
  * Gets Chrome bookmarks
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getChromeBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.CHROME, options);
+}
+
+/**
+ * Gets Chromium bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
  */
-async function getChromeBookmarks() {
-    browsers.browserDbLocations.chrome = browsers.findPaths(browsers.defaultPaths.chrome, browsers.CHROME);
-    return getBrowserBookmarks(browsers.browserDbLocations.chrome, browsers.CHROME);
+async function getChromiumBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.CHROMIUM, options);
 }
 
 /**
  * Gets Opera bookmarks
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
  */
-async function getOperaBookmarks() {
-    browsers.browserDbLocations.opera = browsers.findPaths(browsers.defaultPaths.opera, browsers.OPERA);
-    return getBrowserBookmarks(browsers.browserDbLocations.opera, browsers.OPERA);
+async function getOperaBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.OPERA, options);
 }
 
 /**
  * Gets Brave bookmarks
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
  */
-async function getBraveBookmarks() {
-    browsers.browserDbLocations.brave = browsers.findPaths(browsers.defaultPaths.brave, browsers.BRAVE);
-    return getBrowserBookmarks(browsers.browserDbLocations.brave, browsers.BRAVE);
+async function getBraveBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.BRAVE, options);
 }
 
 /**
  * Gets Vivaldi bookmarks
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
  */
-async function getVivaldiBookmarks() {
-    browsers.browserDbLocations.vivaldi = browsers.findPaths(browsers.defaultPaths.vivaldi, browsers.VIVALDI);
-    return getBrowserBookmarks(browsers.browserDbLocations.vivaldi, browsers.VIVALDI);
+async function getVivaldiBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.VIVALDI, options);
 }
 
 /**
  * Gets Microsoft Edge bookmarks
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
  */
-async function getMicrosoftEdgeBookmarks() {
-    browsers.browserDbLocations.edge = browsers.findPaths(browsers.defaultPaths.edge, browsers.EDGE);
-    return getBrowserBookmarks(browsers.browserDbLocations.edge, browsers.EDGE);
+async function getMicrosoftEdgeBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.EDGE, options);
 }
 
 /**
  * Gets AVAST Browser bookmarks
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
  */
-async function getAvastBookmarks() {
-    browsers.browserDbLocations.avast = browsers.findPaths(browsers.defaultPaths.avast, browsers.AVAST);
-    return getBrowserBookmarks(browsers.browserDbLocations.avast, browsers.AVAST);
+async function getAvastBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.AVAST, options);
 }
 
 /**
- * Gets bookmarks from all supported browsers
- * @returns {Promise<array>}
+ * Gets Safari bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
  */
-async function getAllBookmarks() {
-    let allBookmarks = [];
+async function getSafariBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.SAFARI, options);
+}
 
-    // Setup browser paths
-    browsers.browserDbLocations.firefox = browsers.findPaths(browsers.defaultPaths.firefox, browsers.FIREFOX);
-    browsers.browserDbLocations.chrome = browsers.findPaths(browsers.defaultPaths.chrome, browsers.CHROME);
-    browsers.browserDbLocations.seamonkey = browsers.findPaths(browsers.defaultPaths.seamonkey, browsers.SEAMONKEY);
-    browsers.browserDbLocations.opera = browsers.findPaths(browsers.defaultPaths.opera, browsers.OPERA);
-    browsers.browserDbLocations.brave = browsers.findPaths(browsers.defaultPaths.brave, browsers.BRAVE);
-    browsers.browserDbLocations.vivaldi = browsers.findPaths(browsers.defaultPaths.vivaldi, browsers.VIVALDI);
-    browsers.browserDbLocations.edge = browsers.findPaths(browsers.defaultPaths.edge, browsers.EDGE);
-    browsers.browserDbLocations.avast = browsers.findPaths(browsers.defaultPaths.avast, browsers.AVAST);
-
-    // Get bookmarks from all browsers
-    try {
-        allBookmarks = allBookmarks.concat(await getBrowserBookmarks(browsers.browserDbLocations.firefox, browsers.FIREFOX));
-        allBookmarks = allBookmarks.concat(await getBrowserBookmarks(browsers.browserDbLocations.seamonkey, browsers.SEAMONKEY));
-        allBookmarks = allBookmarks.concat(await getBrowserBookmarks(browsers.browserDbLocations.chrome, browsers.CHROME));
-        allBookmarks = allBookmarks.concat(await getBrowserBookmarks(browsers.browserDbLocations.opera, browsers.OPERA));
-        allBookmarks = allBookmarks.concat(await getBrowserBookmarks(browsers.browserDbLocations.brave, browsers.BRAVE));
-        allBookmarks = allBookmarks.concat(await getBrowserBookmarks(browsers.browserDbLocations.vivaldi, browsers.VIVALDI));
-        allBookmarks = allBookmarks.concat(await getBrowserBookmarks(browsers.browserDbLocations.edge, browsers.EDGE));
-        allBookmarks = allBookmarks.concat(await getBrowserBookmarks(browsers.browserDbLocations.avast, browsers.AVAST));
-
-        // Sort bookmarks by date added (newest first)
-        allBookmarks.sort((a, b) => new Date(b.added_time) - new Date(a.added_time));
-    } catch (error) {
-        console.error('Error getting bookmarks:', error);
-    }
+/**
+ * Gets Opera GX bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getOperaGXBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.OPERA_GX, options);
+}
+
+/**
+ * Gets Yandex Browser bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getYandexBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.YANDEX, options);
+}
+
+/**
+ * Gets Arc bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getArcBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.ARC, options);
+}
+
+/**
+ * Gets Thorium bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getThoriumBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.THORIUM, options);
+}
+
+/**
+ * Gets Epic Privacy Browser bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getEpicBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.EPIC, options);
+}
+
+/**
+ * Gets Waterfox bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getWaterfoxBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.WATERFOX, options);
+}
+
+/**
+ * Gets LibreWolf bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getLibreWolfBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.LIBREWOLF, options);
+}
+
+/**
+ * Gets Floorp bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getFloorpBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.FLOORP, options);
+}
+
+/**
+ * Gets Zen Browser bookmarks
+ * @param options e.g. { shape: "byProfile" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getZenBookmarks(options = {}) {
+    return getLegacyBookmarks(browsers.ZEN, options);
+}
 
-    return allBookmarks.flat(); // Flatten in case any function returns nested arrays
+/**
+ * Gets bookmarks from all supported browsers, newest first
+ * @param options e.g. { shape: "byBrowser" }, see getBookmarks
+ * @returns {Promise<array|object>}
+ */
+async function getAllBookmarks(options = {}) {
+    return (await getBookmarks(Object.assign({}, options, { browsers: undefined }))).records;
 }
 
 // EXISTING HISTORY FUNCTIONS
 
+/**
+ * Gets the history of the last historyTimeLength minutes for the legacy functions, which return the
+ * records without the sources. Profiles that can not be read are left out. Without a shape the records
+ * come as they always have, an array of records per history database, oldest first.
+ * @param browserName every supported browser when undefined
+ * @param historyTimeLength time is in minutes
+ * @param options shape, profiles, paths and dbAccess as for getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getLegacyHistory(browserName, historyTimeLength, options = {}) {
+    const since = minutesToTimeRange(historyTimeLength).since;
+    const browserNames = browserName ? [browserName] : undefined;
+    if (options.shape !== undefined && options.shape !== null) {
+        return (await getHistory(Object.assign({}, options, { browsers: browserNames, since, until: null }))).records;
+    }
+    const result = await getHistory(Object.assign({}, options, { browsers: browserNames, since, until: null, shape: 'byProfile' }));
+    return result.sources
+        .filter(source => source.status === 'ok')
+        .map(source => result.records[source.profile] || []);
+}
+
 /**
  * Gets Firefox history
  * @param historyTimeLength time is in minutes
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
  */
-async function getFirefoxHistory(historyTimeLength = 5) {
-    browsers.browserDbLocations.firefox = browsers.findPaths(browsers.defaultPaths.firefox, browsers.FIREFOX);
-    return getBrowserHistory(browsers.browserDbLocations.firefox, browsers.FIREFOX, historyTimeLength).then(records => {
-        return records;
-    });
+async function getFirefoxHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.FIREFOX, historyTimeLength, options);
 }
 
 /**
  * Gets Seamonkey History
  * @param historyTimeLength time is in minutes
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
  */
-function getSeaMonkeyHistory(historyTimeLength = 5) {
-    browsers.browserDbLocations.seamonkey = browsers.findPaths(browsers.defaultPaths.seamonkey, browsers.SEAMONKEY);
-    return getBrowserHistory(browsers.browserDbLocations.seamonkey, browsers.SEAMONKEY, historyTimeLength).then(records => {
-        return records;
-    });
+function getSeaMonkeyHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.SEAMONKEY, historyTimeLength, options);
 }
 
 /**
  * Gets Chrome History
  * @param historyTimeLength time is in minutes
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
  */
-async function getChromeHistory(historyTimeLength = 5) {
-    browsers.browserDbLocations.chrome = browsers.findPaths(browsers.defaultPaths.chrome, browsers.CHROME);
-    return getBrowserHistory(browsers.browserDbLocations.chrome, browsers.CHROME, historyTimeLength).then(records => {
-        return records;
-    });
+async function getChromeHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.CHROME, historyTimeLength, options);
+}
+
+/**
+ * Gets Chromium History
+ * @param historyTimeLength time is in minutes
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getChromiumHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.CHROMIUM, historyTimeLength, options);
 }
 
 /**
  * Get Opera History
  * @param historyTimeLength time is in minutes
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
  */
-async function getOperaHistory(historyTimeLength = 5) {
-    browsers.browserDbLocations.opera = browsers.findPaths(browsers.defaultPaths.opera, browsers.OPERA);
-    return getBrowserHistory(browsers.browserDbLocations.opera, browsers.OPERA, historyTimeLength).then(records => {
-        return records;
-    });
+async function getOperaHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.OPERA, historyTimeLength, options);
 }
 
 /**
  * Get Torch History
  * @param historyTimeLength time is in minutes
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
  */
-async function getTorchHistory(historyTimeLength = 5) {
-    browsers.browserDbLocations.torch = browsers.findPaths(browsers.defaultPaths.torch, browsers.TORCH);
-    return getBrowserHistory(browsers.browserDbLocations.torch, browsers.TORCH, historyTimeLength).then(records => {
-        return records;
-    });
+async function getTorchHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.TORCH, historyTimeLength, options);
 }
 
 /**
  * Get Brave History
  * @param historyTimeLength time is in minutes
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
  */
-async function getBraveHistory(historyTimeLength = 5) {
-    browsers.browserDbLocations.brave = browsers.findPaths(browsers.defaultPaths.brave, browsers.BRAVE);
-    return getBrowserHistory(browsers.browserDbLocations.brave, browsers.BRAVE, historyTimeLength).then(records => {
-        return records;
-    });
+async function getBraveHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.BRAVE, historyTimeLength, options);
 }
 
 /**
  * Get Maxthon History
  * @param historyTimeLength time is in minutes
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
  */
-async function getMaxthonHistory(historyTimeLength = 5) {
-    browsers.browserDbLocations.maxthon = browsers.findPaths(browsers.defaultPaths.maxthon, browsers.MAXTHON);
-    return getBrowserHistory(browsers.browserDbLocations.maxthon, browsers.MAXTHON, historyTimeLength).then(records => {
-        return records;
-    });
+async function getMaxthonHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.MAXTHON, historyTimeLength, options);
 }
 
 /**
  * Get Vivaldi History
  * @param historyTimeLength time is in minutes
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
  */
-async function getVivaldiHistory(historyTimeLength = 5) {
-    browsers.browserDbLocations.vivaldi = browsers.findPaths(browsers.defaultPaths.vivaldi, browsers.VIVALDI);
-    return getBrowserHistory(browsers.browserDbLocations.vivaldi, browsers.VIVALDI, historyTimeLength).then(records => {
-        return records;
-    });
+async function getVivaldiHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.VIVALDI, historyTimeLength, options);
 }
 
 /**
  * Get AVAST Browser History
  * @param historyTimeLength
- * @return {Promise<Array>}
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @return {Promise<Array|Object>}
  */
-async function getAvastHistory(historyTimeLength = 5) {
-    browsers.browserDbLocations.avast = browsers.findPaths(browsers.defaultPaths.avast, browsers.AVAST);
-    return getBrowserHistory(browsers.browserDbLocations.avast, browsers.AVAST, historyTimeLength).then(records => {
-        return records;
-    });
+async function getAvastHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.AVAST, historyTimeLength, options);
+}
+
+/**
+ * Get Safari History
+ * @param historyTimeLength
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @return {Promise<Array|Object>}
+ */
+async function getSafariHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.SAFARI, historyTimeLength, options);
 }
 
 /**
  * Get Microsoft Edge History
  * @param historyTimeLength time is in minutes
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getMicrosoftEdge(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.EDGE, historyTimeLength, options);
+}
+
+/**
+ * Get Opera GX History
+ * @param historyTimeLength time is in minutes
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getOperaGXHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.OPERA_GX, historyTimeLength, options);
+}
+
+/**
+ * Get Yandex Browser History
+ * @param historyTimeLength time is in minutes
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getYandexHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.YANDEX, historyTimeLength, options);
+}
+
+/**
+ * Get Arc History
+ * @param historyTimeLength time is in minutes
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getArcHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.ARC, historyTimeLength, options);
+}
+
+/**
+ * Get Thorium History
+ * @param historyTimeLength time is in minutes
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getThoriumHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.THORIUM, historyTimeLength, options);
+}
+
+/**
+ * Get Epic Privacy Browser History
+ * @param historyTimeLength time is in minutes
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getEpicHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.EPIC, historyTimeLength, options);
+}
+
+/**
+ * Get Waterfox History
+ * @param historyTimeLength time is in minutes
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getWaterfoxHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.WATERFOX, historyTimeLength, options);
+}
+
+/**
+ * Get LibreWolf History
+ * @param historyTimeLength time is in minutes
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getLibreWolfHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.LIBREWOLF, historyTimeLength, options);
+}
+
+/**
+ * Get Floorp History
+ * @param historyTimeLength time is in minutes
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getFloorpHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.FLOORP, historyTimeLength, options);
+}
+
+/**
+ * Get Zen Browser History
+ * @param historyTimeLength time is in minutes
+ * @param options e.g. { shape: "byProfile" }, see getHistory
+ * @returns {Promise<array|object>}
+ */
+async function getZenHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(browsers.ZEN, historyTimeLength, options);
+}
+
+/**
+ * Gets the history of the given browsers between two absolute points in time, e.g.
+ * getHistory({ since: new Date('2024-01-01'), until: new Date('2024-01-02') }).
+ * Returns the records, a flat array of browser records each tagged with the id and name of the profile
+ * it was read from and the packaging of the browser: "native", "snap" or "flatpak", and the sources,
+ * one report per profile of the browser, profile, path, status ("ok" or "error"), error, durationMs
+ * and recordCount. A profile that can not be read, e.g. because its database is locked, is reported
+ * with a NotFoundError, LockedError, PermissionDeniedError, SchemaUnsupportedError or CorruptError
+ * from errors.js and the other profiles are still read. A directory in options.paths that holds none
+ * of the browser's profiles is reported as a NotFoundError source with profile null.
+ * @param options
+ * @param options.browsers browser names or keys, e.g. ["chrome", "Mozilla Firefox"]. Defaults to all supported browsers
+ * @param options.since Date, epoch milliseconds or date string. Inclusive, open when left out
+ * @param options.until Date, epoch milliseconds or date string. Exclusive, open when left out
+ * @param options.profiles profiles returned by listProfiles, their ids, names, directory names or paths.
+ *                         Defaults to every profile
+ * @param options.paths directories to look for profiles in instead of a browser's default locations,
+ *                      keyed by browser name or key, e.g. { safari: "/fixtures/Safari" }
+ * @param options.shape "flat", "byBrowser" or "byProfile", see shapeRecords. Defaults to "flat"
+ * @param options.dbAccess "copy", "readOnly" or "immutable", how the history databases are opened, see
+ *                         DB_ACCESS_MODES. Defaults to "copy"
+ * @returns {Promise<{records: Array|Object, sources: Array}>}
+ */
+async function getHistory(options = {}) {
+    const shape = resolveShape(options.shape);
+    const access = resolveDbAccess(options.dbAccess);
+    const browserNames = resolveBrowserNames(options.browsers);
+    const range = createTimeRange(options.since, options.until);
+    let allBrowserRecords = [];
+    let sources = [];
+
+    for (const browserName of browserNames) {
+        for (const profile of findBrowserProfiles(browserName, options, sources)) {
+            const records = await readSource(sources, browserName, profile, profile.historyPath, async () => {
+                return (await getBrowserHistory([profile.historyPath], browserName, range, access)).flat();
+            });
+            allBrowserRecords = allBrowserRecords.concat(records);
+        }
+    }
+
+    return { records: shapeRecords(allBrowserRecords, shape, RECORD_ORDERS.history), sources };
+}
+
+/**
+ * Streams the history of the given browsers one record at a time, e.g.
+ * for await (const record of streamHistory({ since })) { ... }
+ * Records are only read from the database as the consumer asks for them, so memory stays bounded
+ * however large the history is, and `stream.Readable.from(streamHistory(options))` gives a
+ * readable stream with backpressure. The records come profile by profile, each profile's oldest
+ * visited first. Each profile's database copy is removed as soon as it has been read, or
+ * when the consumer stops iterating early.
+ * A profile that can not be read ends the stream with one of the errors of errors.js, unless
+ * options.onSourceError is given: the profile is then skipped and onSourceError is called with the
+ * error and the report of the source, as in the sources of getHistory. The records read from it
+ * before the error have already been streamed and are counted in the report's recordCount.
+ * @param options same options as getHistory
+ * @param options.onSourceError called for each profile that can not be read or has no history file, and
+ *                              each directory in options.paths without a profile
+ * @returns {AsyncIterableIterator<object>}
+ */
+async function* streamHistory(options = {}) {
+    const access = resolveDbAccess(options.dbAccess);
+    const browserNames = resolveBrowserNames(options.browsers);
+    const range = createTimeRange(options.since, options.until);
+    const onSourceError = options.onSourceError;
+    if (onSourceError !== undefined && typeof onSourceError !== 'function') {
+        throw new TypeError('onSourceError must be a function');
+    }
+
+    for (const browserName of browserNames) {
+        const query = historyQuery(browserName, range);
+        if (!query) {
+            continue;
+        }
+        let missingRoots = [];
+        const profiles = findBrowserProfiles(browserName, options, missingRoots);
+        if (onSourceError) {
+            missingRoots.forEach(source => onSourceError(source.error, source));
+        }
+        for (const profile of profiles) {
+            const startTime = Date.now();
+            let recordCount = 0;
+            try {
+                if (!profile.historyPath) {
+                    if (onSourceError) {
+                        throw new errors.NotFoundError(`Profile ${profile.id} has no file to read`);
+                    }
+                    continue;
+                }
+                for await (const row of streamRowsWithDb(profile.historyPath, access, query.sql, query.params)) {
+                    recordCount++;
+                    yield tagRecords([toHistoryRecord(row, browserName)], profile, profile.historyPath)[0];
+                }
+            } catch (error) {
+                const sourceError = errors.toSourceError(error, profile.historyPath);
+                if (!onSourceError) {
+                    throw sourceError;
+                }
+                onSourceError(sourceError, {
+                    browser: browserName,
+                    profile: profile.id,
+                    path: profile.historyPath || null,
+                    status: 'error',
+                    error: sourceError,
+                    durationMs: Date.now() - startTime,
+                    recordCount,
+                });
+            }
+        }
+    }
+}
+
+/**
+ * Gets every single visit of the given browsers between two absolute points in time, so a page
+ * visited 20 times shows up 20 times. Each visit carries its id, the id of the visit it came
+ * from (from_visit), the decoded transition (link, typed, reload, bookmark, redirect, ...) and,
+ * for Chrome-based browsers, how long the page was viewed in duration_ms.
+ * Maxthon does not keep individual visits and is skipped.
+ * @param options same options as getHistory
+ * @returns {Promise<{records: Array|Object, sources: Array}>}
+ */
+async function getVisits(options = {}) {
+    const shape = resolveShape(options.shape);
+    const access = resolveDbAccess(options.dbAccess);
+    const browserNames = resolveBrowserNames(options.browsers);
+    const range = createTimeRange(options.since, options.until);
+    let allVisits = [];
+    let sources = [];
+
+    for (const browserName of browserNames) {
+        for (const profile of findBrowserProfiles(browserName, options, sources)) {
+            const visits = await readSource(sources, browserName, profile, profile.historyPath, () => {
+                return getBrowserVisits([profile.historyPath], browserName, range, null, access);
+            });
+            allVisits = allVisits.concat(visits);
+        }
+    }
+
+    return { records: shapeRecords(allVisits, shape, RECORD_ORDERS.visits), sources };
+}
+
+// WATCH FUNCTIONS
+
+// Table holding one row per visit, for the engines that keep individual visits. epochMsSql converts
+// the time column to epoch milliseconds in SQL, Chrome's microsecond times are too large for a Number
+const VISIT_TABLES = {
+    [browsers.ENGINES.CHROMIUM]: {
+        table: 'visits',
+        timeColumn: 'visit_time',
+        epochMsSql: `visit_time / 1000 - ${CHROME_EPOCH_OFFSET_MS}`,
+        toNativeTime: toChromeTime,
+        visitsQuery: chromeVisitsQuery,
+        decodeTransition: decodeChromeTransition,
+    },
+    [browsers.ENGINES.MOZILLA]: {
+        table: 'moz_historyvisits',
+        timeColumn: 'visit_date',
+        epochMsSql: 'visit_date / 1000',
+        toNativeTime: toMozillaTime,
+        visitsQuery: mozillaVisitsQuery,
+        decodeTransition: decodeMozillaTransition,
+    },
+};
+
+/**
+ * Reads the id and time in epoch milliseconds of the visit with the highest id, null when the
+ * database has no visits
+ * @param dbPath
+ * @param visitTable entry of VISIT_TABLES
+ * @returns {Promise<{id: number, time: number}|null>}
+ */
+async function getLastVisitFromDb(dbPath, visitTable) {
+    const db = await Database.open(dbPath);
+    try {
+        const row = await db.get(
+            `SELECT id, ${visitTable.epochMsSql} AS time FROM ${visitTable.table} ORDER BY id DESC LIMIT 1`
+        );
+        return row ? { id: row.id, time: row.time } : null;
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Reads the id and time of the visit with the highest id of a history database, null when it has no
+ * visits yet
+ * @param dbPath
+ * @param browserName
+ * @param access how the database is opened, see DB_ACCESS_MODES
+ * @returns {Promise<{id: number, time: number}|null>}
+ */
+async function getLastVisit(dbPath, browserName, access = DB_ACCESS_MODES.COPY) {
+    const visitTable = VISIT_TABLES[browsers.getBrowserEngine(browserName)];
+    return withDb(dbPath, access, openPath => getLastVisitFromDb(openPath, visitTable));
+}
+
+/**
+ * Watches the history databases of the given browsers and emits a 'visit' event for every visit
+ * recorded after the watcher started, with the same fields as the records of getVisits.
+ * Each database is read again when it, its -wal or its -journal file changes, picking up the visits
+ * with an id above the highest one seen so far (visits.id for Chrome-based browsers,
+ * moz_historyvisits.id for Firefox), so no visit is missed or reported twice. When the history
+ * has been cleared ids are handed out again, so the watcher reads the visits recorded after the last
+ * one it emitted and carries on from the highest id left.
+ * Emits 'ready' once the databases are watched and 'error', with one of the errors of errors.js, when
+ * one can not be read or a directory in options.paths holds no profile. The watcher keeps going after
+ * an error, a profile that can not be read when the watcher starts is left out and the others are
+ * still watched. Maxthon and Safari do not keep
+ * individual visits and are not watched.
+ * Call close() on the watcher to stop watching.
+ * @param options
+ * @param options.browsers browser names or keys. Defaults to all supported browsers
+ * @param options.profiles profiles returned by listProfiles, their ids, names, directory names or paths.
+ *                         Defaults to every profile
+ * @param options.paths directories to look in instead of the default locations, see getHistory
+ * @param options.dbAccess how the history databases are opened, see getHistory
+ * @param options.debounceMs how long to wait for the browser to finish writing before reading. Defaults to 500
+ * @returns {EventEmitter}
  */
-async function getMicrosoftEdge(historyTimeLength = 5) {
-    browsers.browserDbLocations.edge = browsers.findPaths(browsers.defaultPaths.edge, browsers.EDGE);
-    return getBrowserHistory(browsers.browserDbLocations.edge, browsers.EDGE, historyTimeLength).then(records => {
-        return records;
+function watchHistory(options = {}) {
+    const access = resolveDbAccess(options.dbAccess);
+    const watcher = new EventEmitter();
+    const debounceMs = options.debounceMs === undefined ? 500 : options.debounceMs;
+    let sources = [];
+    let closed = false;
+
+    const readNewVisits = async source => {
+        if (source.reading) {
+            source.pending = true;
+            return;
+        }
+        source.reading = true;
+        try {
+            do {
+                source.pending = false;
+                const lastVisit = await getLastVisit(source.profile.historyPath, source.browserName, access);
+                const maxVisitId = lastVisit ? lastVisit.id : 0;
+                if (maxVisitId === source.lastVisitId) {
+                    continue;
+                }
+                let visits;
+                if (maxVisitId < source.lastVisitId) {
+                    // Visits were deleted and ids above the remaining ones are handed out again, so the
+                    // visits recorded since the clear are told apart by their time
+                    const since = source.lastVisitTime === null ? null : source.lastVisitTime + 1;
+                    visits = await getBrowserVisits(
+                        [source.profile.historyPath], source.browserName, createTimeRange(since, null), null, access
+                    );
+                } else {
+                    visits = await getBrowserVisits(
+                        [source.profile.historyPath], source.browserName, createTimeRange(null, null), source.lastVisitId, access
+                    );
+                }
+                // Visits recorded between the two reads are already in visits
+                source.lastVisitId = visits.reduce((lastVisitId, visit) => Math.max(lastVisitId, visit.id), maxVisitId);
+                source.lastVisitTime = visits.reduce((lastVisitTime, visit) => {
+                    return lastVisitTime === null || visit.utc_time_ms > lastVisitTime ? visit.utc_time_ms : lastVisitTime;
+                }, source.lastVisitTime);
+                for (const visit of tagRecords(visits, source.profile, source.profile.historyPath)) {
+                    if (closed) {
+                        return;
+                    }
+                    watcher.emit('visit', visit);
+                }
+            } while (source.pending && !closed);
+        } catch (error) {
+            if (!closed) {
+                watcher.emit('error', errors.toSourceError(error, source.profile.historyPath));
+            }
+        } finally {
+            source.reading = false;
+        }
+    };
+
+    const scheduleRead = source => {
+        clearTimeout(source.timer);
+        source.timer = setTimeout(() => readNewVisits(source), debounceMs);
+    };
+
+    const start = async () => {
+        for (const browserName of resolveBrowserNames(options.browsers)) {
+            if (!VISIT_TABLES[browsers.getBrowserEngine(browserName)]) {
+                continue;
+            }
+            let missingRoots = [];
+            const profiles = findBrowserProfiles(browserName, options, missingRoots);
+            missingRoots.forEach(missingRoot => watcher.emit('error', missingRoot.error));
+            for (const profile of profiles) {
+                if (!profile.historyPath) {
+                    continue;
+                }
+                let source = { browserName, profile, lastVisitId: 0, lastVisitTime: null, reading: false, pending: false, timer: null };
+                try {
+                    const lastVisit = await getLastVisit(profile.historyPath, browserName, access);
+                    if (closed) {
+                        return;
+                    }
+                    source.lastVisitId = lastVisit ? lastVisit.id : 0;
+                    source.lastVisitTime = lastVisit ? lastVisit.time : null;
+                    // The directory is watched as the -wal and -journal files come and go
+                    const dbFileName = path.basename(profile.historyPath);
+                    const watchedFileNames = [dbFileName, `${dbFileName}-wal`, `${dbFileName}-journal`];
+                    source.fsWatcher = fs.watch(path.dirname(profile.historyPath), (eventType, fileName) => {
+                        if (!fileName || watchedFileNames.includes(fileName.toString())) {
+                            scheduleRead(source);
+                        }
+                    });
+                } catch (error) {
+                    if (closed) {
+                        return;
+                    }
+                    watcher.emit('error', errors.toSourceError(error, profile.historyPath));
+                    continue;
+                }
+                source.fsWatcher.on('error', error => watcher.emit('error', error));
+                sources.push(source);
+            }
+        }
+        watcher.emit('ready');
+    };
+
+    watcher.close = () => {
+        closed = true;
+        for (const source of sources) {
+            clearTimeout(source.timer);
+            source.fsWatcher.close();
+        }
+        sources = [];
+    };
+
+    // Started on the next tick so listeners can be attached first
+    process.nextTick(() => {
+        start().catch(error => {
+            if (!closed) {
+                watcher.emit('error', error);
+            }
+        });
     });
+
+    return watcher;
+}
+
+// INCREMENTAL FUNCTIONS
+
+// Version of the checkpoint format, checkpoints of another version are rejected
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Encodes the last visit read from every profile, keyed by profile id, as an opaque checkpoint
+ * @param marks
+ * @returns {string}
+ */
+function encodeCheckpoint(marks) {
+    return Buffer.from(JSON.stringify({ version: CHECKPOINT_VERSION, profiles: marks })).toString('base64');
+}
+
+/**
+ * Decodes a checkpoint returned by getNewVisits, an empty object when none is given
+ * @param checkpoint
+ * @returns {Object} the last visit read from every profile, keyed by profile id
+ */
+function decodeCheckpoint(checkpoint) {
+    if (!checkpoint) {
+        return {};
+    }
+    let decoded = null;
+    try {
+        decoded = JSON.parse(Buffer.from(String(checkpoint), 'base64').toString('utf8'));
+    } catch (error) {
+        // Reported below
+    }
+    if (!decoded || decoded.version !== CHECKPOINT_VERSION || !decoded.profiles || typeof decoded.profiles !== 'object') {
+        throw new TypeError('Invalid checkpoint');
+    }
+    return decoded.profiles;
+}
+
+/**
+ * Returns the time of the newest visit read up to a checkpoint's mark, which can be later than the
+ * time of the visit with the highest id. Checkpoints written before newest_time was kept only have the
+ * latter.
+ * @param mark last visit read, { visit_id, visit_time, newest_time }
+ * @returns {number|null} epoch milliseconds, null when nothing was read
+ */
+function markReadTime(mark) {
+    if (!mark) {
+        return null;
+    }
+    const time = mark.newest_time !== undefined ? mark.newest_time : mark.visit_time;
+    return time === undefined ? null : time;
+}
+
+/**
+ * Checks whether the visit a checkpoint ends on is still in the database. When it is, every visit
+ * with a higher id is new. When it is not, the history has been cleared or has expired since and
+ * ids may have been handed out again.
+ * @param dbPath
+ * @param visitTable entry of VISIT_TABLES
+ * @param mark last visit read, { visit_id, visit_time, newest_time }
+ * @returns {Promise<boolean>}
+ */
+async function hasVisitInDb(dbPath, visitTable, mark) {
+    if (!mark.visit_id || mark.visit_time === null || mark.visit_time === undefined) {
+        return false;
+    }
+    const db = await Database.open(dbPath);
+    try {
+        const row = await db.get(
+            `SELECT id FROM ${visitTable.table} WHERE id = ? AND ${visitTable.timeColumn} >= ? AND ${visitTable.timeColumn} < ?`,
+            [mark.visit_id, visitTable.toNativeTime(mark.visit_time), visitTable.toNativeTime(mark.visit_time + 1)]
+        );
+        return Boolean(row);
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Gets the visits recorded since the checkpoint of the previous call, and a new checkpoint to pass
+ * to the next call, e.g. for a sync job that runs every few minutes. The checkpoint is an opaque
+ * string holding the id and time of the last visit read from every profile, and the time of the
+ * newest visit read from it.
+ * Visits above the last visit id are new as long as that visit is still in the database. When it is
+ * gone, because the history was cleared or the browser expired it, visit ids may have been handed out
+ * again and the visits after the newest visit read are returned instead. Profiles without a checkpoint yet return
+ * all their visits, or those since options.since. Profiles not read in a call, e.g. because
+ * options.browsers leaves them out, keep their place in the checkpoint.
+ * Maxthon and Safari do not keep individual visits and are skipped.
+ * @param options
+ * @param options.checkpoint checkpoint returned by the previous call. Leave out for the first call
+ * @param options.since where to start for profiles the checkpoint does not know yet. Defaults to all visits
+ * @param options.browsers, options.profiles, options.paths, options.shape, options.dbAccess as for getHistory
+ * @returns {Promise<{records: Array|Object, sources: Array, checkpoint: string}>} a profile that could not be
+ *          read keeps its place in the checkpoint, see getHistory for the sources
+ */
+async function getNewVisits(options = {}) {
+    const shape = resolveShape(options.shape);
+    const access = resolveDbAccess(options.dbAccess);
+    const marks = decodeCheckpoint(options.checkpoint);
+    const firstRange = createTimeRange(options.since, null);
+    let newMarks = Object.assign({}, marks);
+    let allVisits = [];
+    let sources = [];
+
+    for (const browserName of resolveBrowserNames(options.browsers)) {
+        const visitTable = VISIT_TABLES[browsers.getBrowserEngine(browserName)];
+        if (!visitTable) {
+            continue;
+        }
+        for (const profile of findBrowserProfiles(browserName, options, sources)) {
+            const mark = marks[profile.id];
+            // The last visit is read before the new visits, so visits recorded in between are among the new visits
+            const visits = await readSource(sources, browserName, profile, profile.historyPath, () => {
+                return withDb(profile.historyPath, access, async dbPath => {
+                    const lastVisit = await getLastVisitFromDb(dbPath, visitTable);
+                    const readTime = markReadTime(mark);
+                    let query;
+                    if (!mark) {
+                        query = visitTable.visitsQuery(firstRange);
+                    } else if (await hasVisitInDb(dbPath, visitTable, mark)) {
+                        query = visitTable.visitsQuery(createTimeRange(null, null), mark.visit_id);
+                    } else {
+                        // Every visit up to the newest one read has been returned, later ones are new
+                        query = visitTable.visitsQuery(createTimeRange(readTime === null ? null : readTime + 1, null));
+                    }
+                    const newVisits = await getVisitsFromDb(dbPath, query.sql, browserName, query.params, visitTable.decodeTransition);
+                    const newestVisit = newVisits.reduce((newest, visit) => {
+                        return !newest || visit.id > newest.id ? { id: visit.id, time: visit.utc_time_ms } : newest;
+                    }, lastVisit);
+                    const newestTime = newVisits.concat(lastVisit ? [{ utc_time_ms: lastVisit.time }] : []).reduce((newest, visit) => {
+                        return newest === null || visit.utc_time_ms > newest ? visit.utc_time_ms : newest;
+                    }, readTime);
+                    newMarks[profile.id] = newestVisit
+                        ? { visit_id: newestVisit.id, visit_time: newestVisit.time, newest_time: newestTime }
+                        : { visit_id: 0, visit_time: mark ? mark.visit_time : null, newest_time: newestTime };
+                    return newVisits;
+                });
+            });
+            allVisits = allVisits.concat(visits);
+        }
+    }
+
+    return { records: shapeRecords(allVisits, shape, RECORD_ORDERS.visits), sources, checkpoint: encodeCheckpoint(newMarks) };
 }
 
 /**
  * Gets the history for the Specified browsers and time in minutes.
- * Returns an array of browser records.
+ * Returns an array with the records of each history database, oldest first, unless a shape is asked for.
  * @param historyTimeLength | Integer
- * @returns {Promise<array>}
+ * @param options e.g. { shape: "byBrowser" }, see getHistory
+ * @returns {Promise<array|object>}
  */
-async function getAllHistory(historyTimeLength = 5) {
-    let allBrowserRecords = [];
+async function getAllHistory(historyTimeLength = 5, options = {}) {
+    return getLegacyHistory(undefined, historyTimeLength, options);
+}
+
+// SERVER FUNCTIONS
 
-    browsers.browserDbLocations.firefox = browsers.findPaths(browsers.defaultPaths.firefox, browsers.FIREFOX);
-    browsers.browserDbLocations.chrome = browsers.findPaths(browsers.defaultPaths.chrome, browsers.CHROME);
-    browsers.browserDbLocations.seamonkey = browsers.findPaths(browsers.defaultPaths.seamonkey, browsers.SEAMONKEY);
-    browsers.browserDbLocations.opera = browsers.findPaths(browsers.defaultPaths.opera, browsers.OPERA);
-    browsers.browserDbLocations.torch = browsers.findPaths(browsers.defaultPaths.torch, browsers.TORCH);
-    browsers.browserDbLocations.brave = browsers.findPaths(browsers.defaultPaths.brave, browsers.BRAVE);
-    browsers.browserDbLocations.seamonkey = browsers.findPaths(browsers.defaultPaths.seamonkey, browsers.SEAMONKEY);
-    browsers.browserDbLocations.maxthon = browsers.findPaths(browsers.defaultPaths.maxthon, browsers.MAXTHON);
-    browsers.browserDbLocations.vivaldi = browsers.findPaths(browsers.defaultPaths.vivaldi, browsers.VIVALDI);
-    browsers.browserDbLocations.edge = browsers.findPaths(browsers.defaultPaths.edge, browsers.EDGE);
-    browsers.browserDbLocations.avast = browsers.findPaths(browsers.defaultPaths.avast, browsers.AVAST);
-
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.firefox, browsers.FIREFOX, historyTimeLength));
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.seamonkey, browsers.SEAMONKEY, historyTimeLength));
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.chrome, browsers.CHROME, historyTimeLength));
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.opera, browsers.OPERA, historyTimeLength));
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.torch, browsers.TORCH, historyTimeLength));
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.brave, browsers.BRAVE, historyTimeLength));
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.vivaldi, browsers.VIVALDI, historyTimeLength));
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.seamonkey, browsers.SEAMONKEY, historyTimeLength));
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.maxthon, browsers.MAXTHON, historyTimeLength));
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.edge, browsers.EDGE, historyTimeLength));
-    allBrowserRecords = allBrowserRecords.concat(await getBrowserHistory(browsers.browserDbLocations.avast, browsers.EDGE, historyTimeLength));
-    //No Path because this is handled by the dll
-
-    return allBrowserRecords;
+/**
+ * Starts the local HTTP server of server.js, see createServer there. server.js is loaded on the
+ * first call as it requires this module itself.
+ * @param options
+ * @returns {Promise<http.Server>} the listening server, with its token and url
+ */
+function createServer(options = {}) {
+    return require("./server").createServer(options);
 }
 
 module.exports = {
     // History functions
+    getHistory,
+    streamHistory,
+    getVisits,
+    watchHistory,
+    getNewVisits,
     getAllHistory,
     getFirefoxHistory,
     getSeaMonkeyHistory,
     getChromeHistory,
+    getChromiumHistory,
     getOperaHistory,
     getTorchHistory,
     getBraveHistory,
@@ -585,15 +2810,71 @@ module.exports = {
     getVivaldiHistory,
     getMicrosoftEdge,
     getAvastHistory,
+    getSafariHistory,
+    getOperaGXHistory,
+    getYandexHistory,
+    getArcHistory,
+    getThoriumHistory,
+    getEpicHistory,
+    getWaterfoxHistory,
+    getLibreWolfHistory,
+    getFloorpHistory,
+    getZenHistory,
+
+    // Download functions
+    getDownloads,
+
+    // Search functions
+    getSearchTerms,
+
+    // Export functions
+    EXPORT_FORMATS,
+    exportRecords,
+
+    // Tab functions
+    getOpenTabs,
+
+    // Profile functions
+    listProfiles,
 
     // Bookmark functions
+    getBookmarks,
+    getBookmarkTree,
+    exportBookmarksHtml,
+    parseBookmarksHtml,
     getAllBookmarks,
     getFirefoxBookmarks,
     getSeaMonkeyBookmarks,
     getChromeBookmarks,
+    getChromiumBookmarks,
     getOperaBookmarks,
     getBraveBookmarks,
     getVivaldiBookmarks,
     getMicrosoftEdgeBookmarks,
-    getAvastBookmarks
+    getAvastBookmarks,
+    getSafariBookmarks,
+    getOperaGXBookmarks,
+    getYandexBookmarks,
+    getArcBookmarks,
+    getThoriumBookmarks,
+    getEpicBookmarks,
+    getWaterfoxBookmarks,
+    getLibreWolfBookmarks,
+    getFloorpBookmarks,
+    getZenBookmarks,
+
+    // Server functions
+    createServer,
+
+    // Browser functions
+    registerBrowser: browsers.registerBrowser,
+    ENGINES: browsers.ENGINES,
+
+    // Errors reported in the sources
+    BrowserHistoryError: errors.BrowserHistoryError,
+    NotFoundError: errors.NotFoundError,
+    LockedError: errors.LockedError,
+    PermissionDeniedError: errors.PermissionDeniedError,
+    SchemaUnsupportedError: errors.SchemaUnsupportedError,
+    CorruptError: errors.CorruptError
 };
\ No newline at end of file
@@ -2,6 +2,7 @@
  * This module provides a promise interface to the sqlite3 database module.
  */
 
+const path = require('path')
 const sqlite = require('sqlite3')
 
 //-----------------------------------------------------------------------------
@@ -13,6 +14,25 @@ class Database {
     static get OPEN_READONLY() { return sqlite.OPEN_READONLY }
     static get OPEN_READWRITE() { return sqlite.OPEN_READWRITE }
     static get OPEN_CREATE() { return sqlite.OPEN_CREATE }
+    static get OPEN_URI() { return sqlite.OPEN_URI }
+
+    /**
+     * Builds the SQLite file: URI of a database file with the given query parameters,
+     * e.g. Database.fileUri('/data/History', { mode: 'ro', immutable: 1 }). Characters
+     * SQLite treats as URI syntax are escaped.
+     */
+    static fileUri(filename, params = {}) {
+        let pathname = path.resolve(filename).split(path.sep).join('/')
+        if (!pathname.startsWith('/')) {
+            // Windows paths start with the drive letter, file:///C:/...
+            pathname = '/' + pathname
+        }
+        pathname = pathname.replace(/[%?#]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase())
+        let query = Object.keys(params)
+            .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+            .join('&')
+        return 'file://' + pathname + (query ? '?' + query : '')
+    }
 
     static open(filename, mode) {
         let db = new Database()
@@ -25,6 +45,10 @@ class Database {
         } else if (typeof mode !== 'number') {
             throw new TypeError('Database.open: mode is not a number')
         }
+        if (typeof filename === 'string' && filename.startsWith('file:')) {
+            // Without OPEN_URI SQLite would take the URI for the name of a file
+            mode |= Database.OPEN_URI
+        }
         return new Promise((resolve, reject) => {
             if (this.db) {
                 return reject(new Error('Database.open: database is already open'))
@@ -1,5 +1,6 @@
 const assert = require('assert')
 const fs = require('fs')
+const path = require('path')
 const Database = require('../sqlite-async')
 
 let db
@@ -203,6 +204,95 @@ describe('Module', function () {
         })
     })
 
+    describe('Database (URI)', function () {
+        describe('fileUri', function () {
+            it('should build a file URI with the query parameters', function () {
+                assert.strictEqual(
+                    Database.fileUri('/data/History', { mode: 'ro', immutable: 1 }),
+                    process.platform === 'win32'
+                        ? 'file:///' + path.resolve('/data/History').split(path.sep).join('/') + '?mode=ro&immutable=1'
+                        : 'file:///data/History?mode=ro&immutable=1'
+                )
+            })
+            it('should escape the characters SQLite reads as URI syntax', function () {
+                const uri = Database.fileUri(path.resolve('a%b?c#d.db'))
+                assert(uri.endsWith('/a%25b%3Fc%23d.db'), uri)
+            })
+            it('should resolve relative filenames', function () {
+                assert.strictEqual(Database.fileUri('test.db'), Database.fileUri(path.resolve('test.db')))
+            })
+        })
+        describe('open (mode=ro)', function () {
+            it('should add a row to read back', function () {
+                return Database.open('test.db').then(writer => {
+                    return writer.close(writer => writer.run('INSERT INTO test VALUES (1, "uri")'))
+                })
+            })
+            it('should open the database read-only', function () {
+                return Database.open(Database.fileUri('test.db', { mode: 'ro' }), Database.OPEN_READONLY | Database.OPEN_URI).then(_db => {
+                    db = _db
+                })
+            })
+            it('should read the rows', function () {
+                return db.all('SELECT * FROM test').then(rows => {
+                    assert.deepStrictEqual(rows, [{ id: 1, name: 'uri' }])
+                })
+            })
+            it('should not write to the database', function () {
+                return db.run('INSERT INTO test VALUES (4, "four")').then(_ => {
+                    throw new Error('The insert should not have succeeded.')
+                }, err => {
+                    assert.strictEqual(err.code, 'SQLITE_READONLY')
+                })
+            })
+            it('should be kept from reading while another connection holds a lock', function () {
+                return Database.open('test.db').then(writer => {
+                    return writer.exec('BEGIN EXCLUSIVE').then(_ => {
+                        return db.all('SELECT * FROM test')
+                    }).then(_ => {
+                        throw new Error('The read should not have succeeded.')
+                    }, err => {
+                        assert.strictEqual(err.code, 'SQLITE_BUSY')
+                    }).then(_ => writer.exec('ROLLBACK')).then(_ => writer.close())
+                })
+            })
+            it('should close database', function () {
+                return db.close()
+            })
+        })
+        describe('open (immutable=1)', function () {
+            it('should open file URIs without OPEN_URI in the mode', function () {
+                return Database.open(Database.fileUri('test.db', { immutable: 1 }), Database.OPEN_READONLY).then(_db => {
+                    db = _db
+                })
+            })
+            it('should read the rows while another connection holds a lock', function () {
+                return Database.open('test.db').then(writer => {
+                    return writer.exec('BEGIN EXCLUSIVE').then(_ => {
+                        return db.all('SELECT * FROM test')
+                    }).then(rows => {
+                        assert.deepStrictEqual(rows, [{ id: 1, name: 'uri' }])
+                    }).then(_ => writer.exec('ROLLBACK'), err => {
+                        return writer.exec('ROLLBACK').then(_ => Promise.reject(err))
+                    }).then(_ => writer.close())
+                })
+            })
+            it('should close database', function () {
+                return db.close()
+            })
+        })
+        describe('open (file name)', function () {
+            it('should not create a file named after the URI', function () {
+                return Database.open(Database.fileUri('missing.db', { mode: 'ro' }), Database.OPEN_READONLY).then(_ => {
+                    throw new Error('Opening a missing database read-only should not have succeeded.')
+                }, err => {
+                    assert.strictEqual(err.code, 'SQLITE_CANTOPEN')
+                    assert(!fs.existsSync('missing.db'))
+                })
+            })
+        })
+    })
+
     after(function (done) {
         fs.unlink('test.db', done)
     })
@@ -0,0 +1,110 @@
+/**
+ * Decoder for Mozilla's mozLz4 files, e.g. Firefox's sessionstore.jsonlz4 and
+ * search.json.mozlz4. The file is the magic "mozLz40\0", the decompressed size as a
+ * 32 bit little endian integer and a single LZ4 block.
+ */
+
+const { CorruptError } = require("./errors");
+
+const MAGIC = Buffer.from("mozLz40\0", "binary");
+const HEADER_SIZE = MAGIC.length + 4;
+const MIN_MATCH = 4;
+// A byte of an LZ4 block produces at most 255 bytes, a header claiming more is not trusted with an allocation
+const MAX_EXPANSION = 255;
+
+/**
+ * Decompresses a raw LZ4 block into the output buffer
+ * @param input compressed block
+ * @param output buffer sized to hold the decompressed data
+ * @returns {number} number of bytes written to the output
+ */
+function decompressLz4Block(input, output) {
+    let inputPos = 0;
+    let outputPos = 0;
+
+    // Lengths of 15 and more continue in the following bytes, each 255 meaning another byte follows
+    const readLength = length => {
+        if (length !== 15) {
+            return length;
+        }
+        let byte;
+        do {
+            if (inputPos >= input.length) {
+                throw new CorruptError('LZ4 block ends in the middle of a length');
+            }
+            byte = input[inputPos++];
+            length += byte;
+        } while (byte === 255);
+        return length;
+    };
+
+    while (inputPos < input.length) {
+        const token = input[inputPos++];
+
+        const literalLength = readLength(token >> 4);
+        if (inputPos + literalLength > input.length || outputPos + literalLength > output.length) {
+            throw new CorruptError('LZ4 literals run past the end of the block');
+        }
+        input.copy(output, outputPos, inputPos, inputPos + literalLength);
+        inputPos += literalLength;
+        outputPos += literalLength;
+
+        // The last sequence only has literals
+        if (inputPos >= input.length) {
+            break;
+        }
+
+        if (inputPos + 2 > input.length) {
+            throw new CorruptError('LZ4 block ends in the middle of a match offset');
+        }
+        const offset = input.readUInt16LE(inputPos);
+        inputPos += 2;
+        if (offset === 0 || offset > outputPos) {
+            throw new CorruptError(`Invalid LZ4 match offset ${offset}`);
+        }
+
+        const matchLength = readLength(token & 0xF) + MIN_MATCH;
+        if (outputPos + matchLength > output.length) {
+            throw new CorruptError('LZ4 match runs past the end of the output');
+        }
+        // Matches may overlap the bytes they produce, so they are copied byte by byte
+        for (let i = 0; i < matchLength; i++) {
+            output[outputPos] = output[outputPos - offset];
+            outputPos++;
+        }
+    }
+
+    return outputPos;
+}
+
+/**
+ * Checks whether the buffer starts with the mozLz4 magic
+ * @param buffer
+ * @returns {boolean}
+ */
+function isMozLz4(buffer) {
+    return buffer.length >= HEADER_SIZE && buffer.slice(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Decompresses the contents of a mozLz4 file
+ * @param buffer contents of the file
+ * @returns {Buffer}
+ */
+function decompressMozLz4(buffer) {
+    if (!isMozLz4(buffer)) {
+        throw new CorruptError('Not a mozLz4 file');
+    }
+    const declaredSize = buffer.readUInt32LE(MAGIC.length);
+    if (declaredSize > (buffer.length - HEADER_SIZE) * MAX_EXPANSION) {
+        throw new CorruptError(`mozLz4 header claims ${declaredSize} bytes, more than ${buffer.length - HEADER_SIZE} compressed bytes can hold`);
+    }
+    const output = Buffer.alloc(declaredSize);
+    const size = decompressLz4Block(buffer.slice(HEADER_SIZE), output);
+    return output.slice(0, size);
+}
+
+module.exports = {
+    isMozLz4,
+    decompressMozLz4
+};
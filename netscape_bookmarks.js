@@ -0,0 +1,227 @@
+/**
+ * Writes and reads the Netscape bookmark file format (bookmarks.html) every browser can
+ * import and export. Folders are H3 headings followed by a DL list of their contents,
+ * bookmarks are links carrying their add date, tags and keyword as attributes.
+ */
+
+const { toIsoTime } = require('./timestamps');
+
+const HEADER = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+];
+
+// Top level folders browsers import as their bookmarks toolbar
+const TOOLBAR_FOLDERS = ["Bookmarks bar", "Bookmarks Bar", "Bookmarks Toolbar", "toolbar", "Favorites bar", "Favorites"];
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+};
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function unescapeHtml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+        }
+        const character = ENTITIES[name.toLowerCase()];
+        return character === undefined ? entity : character;
+    });
+}
+
+/**
+ * Converts a record time, an ISO string or "YYYY-MM-DD HH:MM:SS", to the seconds the format uses
+ * @param time
+ * @returns {number|null}
+ */
+function toUnixSeconds(time) {
+    if (!time) {
+        return null;
+    }
+    const epochMs = time instanceof Date ? time.getTime() : Date.parse(time);
+    return Number.isNaN(epochMs) ? null : Math.floor(epochMs / 1000);
+}
+
+// Converts the seconds the format uses to epoch milliseconds, null when missing or not set
+function fromUnixSeconds(seconds) {
+    const value = parseInt(seconds, 10);
+    return Number.isNaN(value) || value <= 0 ? null : value * 1000;
+}
+
+function attribute(name, value) {
+    return value === null || value === undefined || value === '' ? '' : ` ${name}="${escapeHtml(value)}"`;
+}
+
+/**
+ * Builds the folder hierarchy of flat bookmarks from their folder_path, or their folder
+ * when they have no folder_path. Folders and bookmarks keep the order they first appear in.
+ * @param bookmarks
+ * @returns {{folders: Map, bookmarks: Array}} the root folder
+ */
+function buildFolderTree(bookmarks) {
+    const root = { folders: new Map(), bookmarks: [] };
+    for (const bookmark of bookmarks) {
+        let folderPath = bookmark.folder_path;
+        if (!Array.isArray(folderPath)) {
+            folderPath = bookmark.folder && bookmark.folder !== 'Unknown' ? [bookmark.folder] : [];
+        }
+        let folder = root;
+        for (const name of folderPath) {
+            if (!folder.folders.has(name)) {
+                folder.folders.set(name, { folders: new Map(), bookmarks: [] });
+            }
+            folder = folder.folders.get(name);
+        }
+        folder.bookmarks.push(bookmark);
+    }
+    return root;
+}
+
+/**
+ * Writes the lines of a folder's contents, its subfolders first. Browsers import a single
+ * toolbar folder, so only the first top level folder named like one is flagged as the toolbar.
+ * @param folder
+ * @param depth
+ * @param lines
+ */
+function writeFolder(folder, depth, lines) {
+    const indent = '    '.repeat(depth);
+    lines.push(`${indent}<DL><p>`);
+    let toolbarWritten = false;
+    for (const [name, subfolder] of folder.folders) {
+        const isToolbar = depth === 0 && !toolbarWritten && TOOLBAR_FOLDERS.includes(name);
+        toolbarWritten = toolbarWritten || isToolbar;
+        lines.push(`${indent}    <DT><H3${isToolbar ? ' PERSONAL_TOOLBAR_FOLDER="true"' : ''}>${escapeHtml(name)}</H3>`);
+        writeFolder(subfolder, depth + 1, lines);
+    }
+    for (const bookmark of folder.bookmarks) {
+        const tags = Array.isArray(bookmark.tags) && bookmark.tags.length > 0 ? bookmark.tags.join(',') : null;
+        lines.push(`${indent}    <DT><A HREF="${escapeHtml(bookmark.url || '')}"`
+            + attribute('ADD_DATE', toUnixSeconds(bookmark.added_time))
+            + attribute('LAST_MODIFIED', toUnixSeconds(bookmark.last_modified))
+            + attribute('SHORTCUTURL', bookmark.keyword)
+            + attribute('TAGS', tags)
+            + `>${escapeHtml(bookmark.title || '')}</A>`);
+        if (bookmark.description) {
+            lines.push(`${indent}    <DD>${escapeHtml(bookmark.description)}`);
+        }
+    }
+    lines.push(`${indent}</DL><p>`);
+}
+
+/**
+ * Writes bookmarks as a Netscape bookmark file. The bookmarks are records as returned by
+ * getBookmarks or getAllBookmarks, their folder_path becomes the folder hierarchy and
+ * their added_time, last_modified, tags, keyword and description are kept where present.
+ * @param bookmarks
+ * @returns {String} contents of the bookmarks.html file
+ */
+function exportBookmarksHtml(bookmarks = []) {
+    let lines = HEADER.slice();
+    writeFolder(buildFolderTree(bookmarks), 0, lines);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Reads the attributes of a start tag into an object keyed by their upper case names
+ * @param attributes
+ * @returns {Object}
+ */
+function parseAttributes(attributes) {
+    let result = {};
+    const pattern = /([a-z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    let match;
+    while ((match = pattern.exec(attributes)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        result[match[1].toUpperCase()] = unescapeHtml(value);
+    }
+    return result;
+}
+
+/**
+ * Reads a Netscape bookmark file as exported by any browser or by exportBookmarksHtml.
+ * Returns flat bookmark records with their folder, folder_path, added_time, last_modified,
+ * tags, keyword and description. The times are ISO strings in UTC next to their epoch
+ * milliseconds in added_time_ms and last_modified_ms, as in the records of getBookmarks.
+ * @param html contents of the bookmarks.html file
+ * @returns {Array}
+ */
+function parseBookmarksHtml(html) {
+    let bookmarks = [];
+    let folderPath = [];
+    // Folder name of every open DL list, null for the lists that do not belong to a folder
+    let lists = [];
+    let pendingFolder = null;
+    let lastBookmark = null;
+
+    const pattern = /<(H3|A)\b([^>]*)>([\s\S]*?)<\/\1\s*>|<DL\b[^>]*>|<\/DL\s*>|<DD>([^<]*)/gi;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const token = match[0].slice(0, 3).toUpperCase();
+        if (match[1] && match[1].toUpperCase() === 'H3') {
+            pendingFolder = unescapeHtml(match[3].trim());
+            lastBookmark = null;
+        } else if (match[1]) {
+            pendingFolder = null;
+            const attributes = parseAttributes(match[2]);
+            const addedMs = fromUnixSeconds(attributes.ADD_DATE);
+            const lastModifiedMs = fromUnixSeconds(attributes.LAST_MODIFIED);
+            lastBookmark = {
+                title: unescapeHtml(match[3].trim()) || 'Untitled',
+                added_time: toIsoTime(addedMs),
+                added_time_ms: addedMs,
+                url: attributes.HREF || null,
+                folder: folderPath.length > 0 ? folderPath[folderPath.length - 1] : 'Unknown',
+                folder_path: folderPath.slice(),
+                tags: attributes.TAGS ? attributes.TAGS.split(',').map(tag => tag.trim()).filter(tag => tag !== '') : [],
+                keyword: attributes.SHORTCUTURL || null,
+                last_modified: toIsoTime(lastModifiedMs),
+                last_modified_ms: lastModifiedMs,
+                description: null,
+            };
+            bookmarks.push(lastBookmark);
+        } else if (token === '<DL') {
+            lists.push(pendingFolder);
+            if (pendingFolder !== null) {
+                folderPath.push(pendingFolder);
+            }
+            pendingFolder = null;
+            lastBookmark = null;
+        } else if (token === '</D') {
+            if (lists.length > 0 && lists.pop() !== null) {
+                folderPath.pop();
+            }
+            lastBookmark = null;
+        } else if (lastBookmark) {
+            // DD holds the description of the bookmark before it
+            const description = unescapeHtml(match[4].trim());
+            lastBookmark.description = description || null;
+            lastBookmark = null;
+        }
+    }
+
+    return bookmarks;
+}
+
+module.exports = {
+    exportBookmarksHtml,
+    parseBookmarksHtml
+};
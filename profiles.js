@@ -0,0 +1,194 @@
+const Path = require("path");
+const fs = require("fs");
+
+/**
+ * Parses an ini file, e.g. Firefox's profiles.ini or installs.ini.
+ * Returns an object of sections, each an object of its keys and values.
+ * @param text
+ * @returns {Object}
+ */
+function parseIni(text) {
+    let sections = {};
+    let section = null;
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith(';') || line.startsWith('#')) {
+            continue;
+        }
+        const header = line.match(/^\[(.+)]$/);
+        if (header) {
+            section = sections[header[1]] = sections[header[1]] || {};
+            continue;
+        }
+        const separator = line.indexOf('=');
+        if (section && separator > 0) {
+            section[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    }
+    return sections;
+}
+
+/**
+ * Parses Chrome's "Local State" file. The profiles live in profile.info_cache keyed by
+ * their directory name, e.g. "Default" or "Profile 1".
+ * @param localState parsed JSON of the Local State file
+ * @returns {Array} [{ directory, name, account, account_name, isDefault }]
+ */
+function parseLocalState(localState) {
+    const profileState = (localState && localState.profile) || {};
+    const infoCache = profileState.info_cache || {};
+    const lastUsed = profileState.last_used || "Default";
+    return Object.keys(infoCache).map(directory => {
+        const info = infoCache[directory] || {};
+        return {
+            directory: directory,
+            name: info.name || info.shortcut_name || directory,
+            // user_name holds the email address of the signed in Google/Microsoft account
+            account: info.user_name || null,
+            account_name: info.gaia_name || null,
+            isDefault: directory === lastUsed,
+        };
+    });
+}
+
+/**
+ * Parses Firefox/SeaMonkey's profiles.ini, and installs.ini when given. Newer versions mark the
+ * default profile of each installation in the [Install...] sections or installs.ini, older ones
+ * set Default=1 on the profile itself.
+ * @param profilesIni contents of profiles.ini
+ * @param installsIni contents of installs.ini
+ * @returns {Array} [{ name, path, isRelative, isDefault }]
+ */
+function parseProfilesIni(profilesIni, installsIni = '') {
+    const sections = parseIni(profilesIni);
+    const installs = parseIni(installsIni);
+    let installDefaults = [];
+    for (const [sectionName, section] of Object.entries(sections)) {
+        if (sectionName.startsWith('Install') && section.Default) {
+            installDefaults.push(section.Default);
+        }
+    }
+    for (const section of Object.values(installs)) {
+        if (section.Default) {
+            installDefaults.push(section.Default);
+        }
+    }
+
+    let profiles = [];
+    for (const [sectionName, section] of Object.entries(sections)) {
+        if (!sectionName.startsWith('Profile') || !section.Path) {
+            continue;
+        }
+        profiles.push({
+            name: section.Name || section.Path,
+            path: section.Path,
+            isRelative: section.IsRelative === '1',
+            isDefault: installDefaults.length > 0 ? installDefaults.includes(section.Path) : section.Default === '1',
+        });
+    }
+    return profiles;
+}
+
+function readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function existingPath(filePath) {
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Finds the Chromium profiles in a browser's data directory using the Local State file.
+ * The Local State file sits either in the directory itself or in one of its children,
+ * e.g. "User Data" on Windows or "Opera Stable".
+ * Returns null when there is no Local State file to go by.
+ * @param root browser data directory
+ * @returns {Array|null} [{ directory, name, path, account, account_name, isDefault, historyPath, bookmarksPath }]
+ */
+function findChromiumProfiles(root) {
+    if (!root || !fs.existsSync(root)) {
+        return null;
+    }
+    const userDataDirs = [root].concat(fs.readdirSync(root).map(file => Path.join(root, file)))
+        .filter(dir => fs.existsSync(Path.join(dir, 'Local State')));
+    if (userDataDirs.length === 0) {
+        return null;
+    }
+
+    let profiles = [];
+    for (const userDataDir of userDataDirs) {
+        let found = parseLocalState(readJsonFile(Path.join(userDataDir, 'Local State')))
+            .map(profile => Object.assign(profile, { path: Path.join(userDataDir, profile.directory) }))
+            .filter(profile => fs.existsSync(profile.path));
+        if (found.length === 0 && fs.existsSync(Path.join(userDataDir, 'History'))) {
+            // Opera keeps a single profile in the data directory itself
+            found = [{
+                directory: Path.basename(userDataDir),
+                name: Path.basename(userDataDir),
+                path: userDataDir,
+                account: null,
+                account_name: null,
+                isDefault: true,
+            }];
+        }
+        for (const profile of found) {
+            profile.historyPath = existingPath(Path.join(profile.path, 'History'));
+            profile.bookmarksPath = existingPath(Path.join(profile.path, 'Bookmarks'));
+            profiles.push(profile);
+        }
+    }
+    return profiles;
+}
+
+/**
+ * Finds the Firefox/SeaMonkey profiles in a browser's data directory using profiles.ini.
+ * profiles.ini is looked for in the directory itself and in its parent, as SeaMonkey on
+ * macOS is configured with the Profiles directory.
+ * Returns null when there is no profiles.ini to go by.
+ * @param root browser data directory
+ * @returns {Array|null} [{ directory, name, path, account, account_name, isDefault, historyPath, bookmarksPath }]
+ */
+function findMozillaProfiles(root) {
+    if (!root) {
+        return null;
+    }
+    const iniDir = [root, Path.dirname(root)].find(dir => fs.existsSync(Path.join(dir, 'profiles.ini')));
+    if (!iniDir) {
+        return null;
+    }
+    const profilesIni = fs.readFileSync(Path.join(iniDir, 'profiles.ini'), 'utf8');
+    const installsIniPath = Path.join(iniDir, 'installs.ini');
+    const installsIni = fs.existsSync(installsIniPath) ? fs.readFileSync(installsIniPath, 'utf8') : '';
+
+    return parseProfilesIni(profilesIni, installsIni)
+        .map(profile => {
+            const profilePath = profile.isRelative ? Path.join(iniDir, profile.path) : profile.path;
+            // Firefox Sync keeps the signed in account next to the profile data
+            const signedInUser = readJsonFile(Path.join(profilePath, 'signedInUser.json'));
+            const accountData = (signedInUser && signedInUser.accountData) || {};
+            const placesPath = existingPath(Path.join(profilePath, 'places.sqlite'));
+            return {
+                directory: Path.basename(profilePath),
+                name: profile.name,
+                path: profilePath,
+                account: accountData.email || null,
+                account_name: accountData.displayName || null,
+                isDefault: profile.isDefault,
+                historyPath: placesPath,
+                bookmarksPath: placesPath,
+            };
+        })
+        .filter(profile => fs.existsSync(profile.path));
+}
+
+module.exports = {
+    parseIni,
+    parseLocalState,
+    parseProfilesIni,
+    findChromiumProfiles,
+    findMozillaProfiles
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const browserHistory = require('../index');
+
+/**
+ * Times reading the whole history of the installed browsers with each way of opening the
+ * databases: from a copy in the temp directory, in place with mode=ro and in place with
+ * immutable=1. Close the browsers first to compare the modes themselves, with a browser running
+ * the readOnly mode falls back to a copy for the databases it holds a lock on.
+ */
+
+const DB_ACCESS_MODES = ['copy', 'readOnly', 'immutable'];
+
+function printUsage() {
+    console.log('\nUsage:');
+    console.log('  node scripts/benchmark-db-access.js [options]');
+    console.log('\nOptions:');
+    console.log('  --browser <name>       browser name or key to read. Repeatable, defaults to all browsers');
+    console.log('  --path <browser=dir>   look for the profiles of a browser in dir. Repeatable');
+    console.log('  --runs <count>         reads per mode. Defaults to 5');
+    console.log('  --help                 show this help');
+    console.log('');
+}
+
+function parseArgs(args) {
+    let parsed = { options: { since: 0 }, runs: 5, help: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            parsed.help = true;
+        } else if (arg === '--browser') {
+            parsed.options.browsers = (parsed.options.browsers || []).concat(args[++i]);
+        } else if (arg === '--path') {
+            const [browser, dir] = (args[++i] || '').split('=');
+            parsed.options.paths = Object.assign(parsed.options.paths || {}, { [browser]: path.resolve(dir) });
+        } else if (arg === '--runs') {
+            parsed.runs = Number(args[++i]);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    if (!Number.isInteger(parsed.runs) || parsed.runs < 1) {
+        throw new Error('--runs needs a positive number');
+    }
+    return parsed;
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Size of a database with its wal file, the bytes the copy mode copies on every read
+function databaseSize(dbPath) {
+    return [dbPath, `${dbPath}-wal`]
+        .filter(filePath => fs.existsSync(filePath))
+        .reduce((size, filePath) => size + fs.statSync(filePath).size, 0);
+}
+
+async function benchmark(options, dbAccess, runs) {
+    let durations = [];
+    let result;
+    for (let run = 0; run < runs; run++) {
+        const start = process.hrtime.bigint();
+        result = await browserHistory.getHistory(Object.assign({}, options, { dbAccess }));
+        durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return {
+        dbAccess,
+        medianMs: median(durations),
+        minMs: Math.min(...durations),
+        records: result.records.length,
+        errors: result.sources.filter(source => source.status === 'error').length,
+    };
+}
+
+async function main() {
+    const parsed = parseArgs(process.argv.slice(2));
+    if (parsed.help) {
+        printUsage();
+        return;
+    }
+
+    const profiles = await browserHistory.listProfiles(parsed.options);
+    const historyPaths = profiles.map(profile => profile.historyPath).filter(Boolean);
+    const totalBytes = historyPaths.reduce((size, historyPath) => size + databaseSize(historyPath), 0);
+    console.log(`Reading ${historyPaths.length} history databases, ${(totalBytes / 1024 / 1024).toFixed(1)} MB, ${parsed.runs} runs per mode`);
+
+    let results = [];
+    for (const dbAccess of DB_ACCESS_MODES) {
+        results.push(await benchmark(parsed.options, dbAccess, parsed.runs));
+    }
+    console.table(results.map(result => ({
+        dbAccess: result.dbAccess,
+        'median ms': result.medianMs.toFixed(1),
+        'min ms': result.minMs.toFixed(1),
+        records: result.records,
+        errors: result.errors,
+    })));
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
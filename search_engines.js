@@ -0,0 +1,84 @@
+/**
+ * Recognizes the result pages of well known search engines and extracts the search term
+ * from their urls.
+ */
+
+// host matches the hostname, path the pathname and param is the query parameter holding the term
+const SEARCH_ENGINES = [
+    { name: "Google", host: /(^|\.)google\.[a-z.]+$/, path: /^\/search$/, param: "q" },
+    { name: "Bing", host: /(^|\.)bing\.com$/, path: /^\/search$/, param: "q" },
+    { name: "DuckDuckGo", host: /(^|\.)duckduckgo\.com$/, path: /^\/(html\/?)?$/, param: "q" },
+    { name: "Yahoo", host: /(^|\.)search\.yahoo\.com$/, path: /^\/search/, param: "p" },
+    { name: "Yandex", host: /(^|\.)yandex\.[a-z.]+$/, path: /^\/search\/?$/, param: "text" },
+    { name: "Baidu", host: /(^|\.)baidu\.com$/, path: /^\/s$/, param: "wd" },
+    { name: "Ecosia", host: /(^|\.)ecosia\.org$/, path: /^\/search$/, param: "q" },
+    { name: "Startpage", host: /(^|\.)startpage\.com$/, path: /^\/(do\/)?search$/, param: "query" },
+    { name: "Qwant", host: /(^|\.)qwant\.com$/, path: /^\/$/, param: "q" },
+    { name: "Brave Search", host: /^search\.brave\.com$/, path: /^\/search$/, param: "q" },
+    { name: "Ask", host: /(^|\.)ask\.com$/, path: /^\/web$/, param: "q" },
+    { name: "YouTube", host: /(^|\.)youtube\.com$/, path: /^\/results$/, param: "search_query" },
+    { name: "Wikipedia", host: /(^|\.)wikipedia\.org$/, path: /^\/w\/index\.php$/, param: "search" },
+];
+
+/**
+ * Normalizes a search term the way Chrome does for keyword_search_terms.normalized_term:
+ * lower case with surrounding and repeated whitespace removed.
+ * @param term
+ * @returns {String}
+ */
+function normalizeSearchTerm(term) {
+    return term.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function parseUrl(url) {
+    try {
+        return new URL(url);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Extracts the search engine and term from the url of a search result page.
+ * Returns null when the url is not a search of a known engine.
+ * @param url
+ * @returns {{engine: String, term: String}|null}
+ */
+function parseSearchUrl(url) {
+    const parsedUrl = parseUrl(url);
+    if (!parsedUrl) {
+        return null;
+    }
+    for (const engine of SEARCH_ENGINES) {
+        if (!engine.host.test(parsedUrl.hostname) || !engine.path.test(parsedUrl.pathname)) {
+            continue;
+        }
+        const term = parsedUrl.searchParams.get(engine.param);
+        if (term && term.trim() !== '') {
+            return { engine: engine.name, term: term };
+        }
+    }
+    return null;
+}
+
+/**
+ * Names the search engine a url belongs to, falling back to the url's host name
+ * for engines that are not known, e.g. custom Chrome search engines.
+ * @param url
+ * @returns {String|null}
+ */
+function searchEngineName(url) {
+    const search = parseSearchUrl(url);
+    if (search) {
+        return search.engine;
+    }
+    const parsedUrl = parseUrl(url);
+    return parsedUrl ? parsedUrl.hostname : null;
+}
+
+module.exports = {
+    SEARCH_ENGINES,
+    normalizeSearchTerm,
+    parseSearchUrl,
+    searchEngineName
+};
@@ -0,0 +1,223 @@
+const http = require("http");
+const crypto = require("crypto");
+const { URL } = require("url");
+const browserHistory = require("./index");
+
+/**
+ * Local HTTP service serving history, bookmarks and profiles as JSON to tools that are not
+ * written for Node, e.g. Electron apps or local dashboards. The server only listens on the
+ * loopback interface and every request has to carry the server's token.
+ */
+
+const LOOPBACK_HOST = "127.0.0.1";
+const LOOPBACK_HOST_NAMES = ["127.0.0.1", "localhost"];
+
+// Query string parameters that can be repeated or comma separated, with the option they map to
+const LIST_PARAMETERS = {
+    browser: "browsers",
+    profile: "profiles",
+};
+
+const ROUTES = {
+    "/history": {
+        parameters: ["browser", "profile", "since", "until"],
+        // Profiles that can not be read are left out, as getBookmarks leaves them out of its records
+        records: options => browserHistory.streamHistory(Object.assign(options, { onSourceError: () => {} })),
+    },
+    "/bookmarks": {
+        parameters: ["browser", "profile", "includeNonHttp"],
+        records: async options => (await browserHistory.getBookmarks(options)).records,
+    },
+    "/profiles": {
+        parameters: ["browser"],
+        records: options => browserHistory.listProfiles(options),
+    },
+};
+
+/**
+ * Maps the query string of a request to the options of the library function behind the route.
+ * since and until take epoch milliseconds or a date string, browser and profile can be repeated
+ * or comma separated.
+ * @param searchParams
+ * @param route
+ * @returns {Object}
+ */
+function toOptions(searchParams, route) {
+    let options = {};
+    for (const name of new Set(searchParams.keys())) {
+        if (!route.parameters.includes(name)) {
+            throw new TypeError(`Unknown query parameter: ${name}`);
+        }
+        const values = searchParams.getAll(name);
+        const value = values[values.length - 1];
+        if (LIST_PARAMETERS[name]) {
+            options[LIST_PARAMETERS[name]] = values
+                .reduce((list, item) => list.concat(item.split(",")), [])
+                .map(item => item.trim())
+                .filter(item => item !== "");
+        } else if (name === "since" || name === "until") {
+            options[name] = /^\d+$/.test(value) ? Number(value) : value;
+        } else if (name === "includeNonHttp") {
+            options.includeNonHttp = value === "" || value === "true" || value === "1";
+        }
+    }
+    return options;
+}
+
+/**
+ * Compares the token of a request with the server's in constant time
+ * @param request
+ * @param token
+ * @returns {boolean}
+ */
+function hasValidToken(request, token) {
+    const header = request.headers.authorization || "";
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+        return false;
+    }
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Checks the Host header so that pages on other sites can not reach the server through a
+ * DNS name rebound to 127.0.0.1
+ * @param request
+ * @returns {boolean}
+ */
+function hasLoopbackHost(request) {
+    const host = request.headers.host || "";
+    const hostName = host.replace(/:\d+$/, "");
+    return LOOPBACK_HOST_NAMES.includes(hostName);
+}
+
+function sendJson(response, statusCode, body) {
+    const json = JSON.stringify(body);
+    response.writeHead(statusCode, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(json),
+        "Cache-Control": "no-store",
+    });
+    response.end(json);
+}
+
+/**
+ * Writes the records as a JSON array one record at a time, waiting for the client to read
+ * what has been written before writing more. The status is only sent once the first record
+ * has been read, so errors reading the browsers' files still get an error response.
+ * @param response
+ * @param records array or async iterable of records
+ * @returns {Promise<void>}
+ */
+async function streamJsonArray(response, records) {
+    let first = true;
+    for await (const record of records) {
+        if (response.destroyed) {
+            return;
+        }
+        if (first) {
+            response.writeHead(200, {
+                "Content-Type": "application/json; charset=utf-8",
+                "Cache-Control": "no-store",
+            });
+        }
+        const chunk = (first ? "[" : ",") + JSON.stringify(record);
+        first = false;
+        if (!response.write(chunk)) {
+            await new Promise(resolve => {
+                response.once("drain", resolve);
+                response.once("close", resolve);
+            });
+        }
+    }
+    if (first) {
+        sendJson(response, 200, []);
+    } else {
+        response.end("]");
+    }
+}
+
+// Invalid options are reported by the library functions as TypeErrors and RangeErrors
+function statusCodeFor(error) {
+    return error instanceof TypeError || error instanceof RangeError ? 400 : 500;
+}
+
+async function handleRequest(request, response, serverOptions) {
+    if (!hasLoopbackHost(request)) {
+        return sendJson(response, 403, { error: "Forbidden host" });
+    }
+    if (!hasValidToken(request, serverOptions.token)) {
+        return sendJson(response, 401, { error: "Missing or invalid token" });
+    }
+    const url = new URL(request.url, `http://${LOOPBACK_HOST}`);
+    const route = ROUTES[url.pathname];
+    if (!route) {
+        return sendJson(response, 404, { error: `Not found: ${url.pathname}` });
+    }
+    if (request.method !== "GET") {
+        response.setHeader("Allow", "GET");
+        return sendJson(response, 405, { error: `Method not allowed: ${request.method}` });
+    }
+
+    let options;
+    let records;
+    try {
+        options = Object.assign(toOptions(url.searchParams, route), { paths: serverOptions.paths });
+        records = await route.records(options);
+    } catch (error) {
+        return sendJson(response, statusCodeFor(error), { error: error.message });
+    }
+    try {
+        await streamJsonArray(response, records);
+    } catch (error) {
+        if (response.headersSent) {
+            // The array has been started, cutting the connection tells the client it is incomplete
+            response.destroy(error);
+        } else {
+            sendJson(response, statusCodeFor(error), { error: error.message });
+        }
+    }
+}
+
+/**
+ * Starts an HTTP server on 127.0.0.1 serving
+ *   GET /history    browser, profile, since, until           records of getHistory
+ *   GET /bookmarks  browser, profile, includeNonHttp         records of getBookmarks
+ *   GET /profiles   browser                                  profiles of listProfiles
+ * Query parameters map to the options of the library functions, browser and profile can be
+ * repeated or comma separated and since and until take epoch milliseconds or a date string.
+ * Responses are JSON arrays written as the records are read, without the records of the profiles
+ * that can not be read. Every request needs the header
+ * "Authorization: Bearer <token>", requests without it get a 401, and requests whose Host is not
+ * 127.0.0.1 or localhost a 403. Bad parameters get a 400 with an { error } body.
+ * @param options
+ * @param options.port port to listen on. Defaults to a free port
+ * @param options.token token requests must carry. Defaults to a random token
+ * @param options.paths directories to look for profiles in, see getHistory. Clients can not change them
+ * @returns {Promise<http.Server>} the listening server, with its token and url
+ */
+function createServer(options = {}) {
+    const token = options.token || crypto.randomBytes(32).toString("hex");
+    const serverOptions = { token, paths: options.paths };
+    const server = http.createServer((request, response) => {
+        handleRequest(request, response, serverOptions).catch(error => {
+            response.destroy(error);
+        });
+    });
+    server.token = token;
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(options.port || 0, LOOPBACK_HOST, () => {
+            server.removeListener("error", reject);
+            server.url = `http://${LOOPBACK_HOST}:${server.address().port}`;
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    createServer
+};
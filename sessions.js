@@ -0,0 +1,483 @@
+const Path = require("path");
+const fs = require("fs");
+const { isMozLz4, decompressMozLz4 } = require("./mozlz4");
+const { chromeTimeToEpochMs, toIsoTime } = require("./timestamps");
+const { parseSnss, createPickleReader } = require("./snss");
+const { CorruptError } = require("./errors");
+
+/**
+ * Turns the session files browsers keep their open windows and tabs in into one shape:
+ * windows, each with its tabs, each tab with its history entries.
+ */
+
+// Firefox rewrites recovery.jsonlz4 while running, sessionstore.jsonlz4 is written on a clean
+// shutdown and previous.jsonlz4 holds the session before that. SeaMonkey writes plain JSON.
+const MOZILLA_SESSION_FILES = [
+    Path.join("sessionstore-backups", "recovery.jsonlz4"),
+    "sessionstore.jsonlz4",
+    Path.join("sessionstore-backups", "previous.jsonlz4"),
+    "sessionstore.json",
+];
+
+// Session command ids (components/sessions/core/session_service_commands.cc)
+const SESSION_COMMANDS = {
+    SET_TAB_WINDOW: 0,
+    SET_TAB_INDEX_IN_WINDOW: 2,
+    TAB_NAVIGATION_PATH_PRUNED_FROM_BACK: 5,
+    UPDATE_TAB_NAVIGATION: 6,
+    SET_SELECTED_NAVIGATION_INDEX: 7,
+    SET_SELECTED_TAB_IN_INDEX: 8,
+    SET_WINDOW_TYPE: 9,
+    TAB_NAVIGATION_PATH_PRUNED_FROM_FRONT: 11,
+    SET_PINNED_STATE: 12,
+    TAB_CLOSED: 16,
+    WINDOW_CLOSED: 17,
+    SET_ACTIVE_WINDOW: 20,
+    LAST_ACTIVE_TIME: 21,
+    TAB_NAVIGATION_PATH_PRUNED: 24,
+    SET_TAB_GROUP: 25,
+    SET_TAB_GROUP_METADATA: 27,
+};
+
+// Tab restore command ids (components/sessions/core/tab_restore_service_impl.cc)
+const TAB_RESTORE_COMMANDS = {
+    UPDATE_TAB_NAVIGATION: 1,
+    RESTORED_ENTRY: 2,
+    SELECTED_NAVIGATION_IN_TAB: 4,
+    PINNED_STATE: 5,
+};
+
+// Chrome window types (SessionWindow::WindowType)
+const CHROME_WINDOW_TYPES = ["normal", "popup", "app", "devtools", "app_popup"];
+
+// Chrome tab group colors (tab_groups::TabGroupColorId)
+const CHROME_GROUP_COLORS = ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"];
+
+/**
+ * Finds the most current session file of a Firefox/SeaMonkey profile
+ * @param profilePath profile directory
+ * @returns {String|null}
+ */
+function findMozillaSessionFile(profilePath) {
+    for (const file of MOZILLA_SESSION_FILES) {
+        const sessionPath = Path.join(profilePath, file);
+        if (fs.existsSync(sessionPath)) {
+            return sessionPath;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads a Firefox/SeaMonkey session file, compressed or not
+ * @param sessionPath
+ * @returns {Object} the parsed session
+ */
+function readMozillaSession(sessionPath) {
+    let contents = fs.readFileSync(sessionPath);
+    if (isMozLz4(contents)) {
+        contents = decompressMozLz4(contents);
+    }
+    return JSON.parse(contents.toString("utf8"));
+}
+
+/**
+ * Finds the newest file of a kind in a Chromium profile's Sessions directory, e.g. Session_13351234567890123.
+ * Older versions keep a single "Current Session" or "Current Tabs" file in the profile directory.
+ * @param profilePath profile directory
+ * @param prefix "Session_" or "Tabs_"
+ * @param legacyFile
+ * @returns {String|null}
+ */
+function findNewestSnssFile(profilePath, prefix, legacyFile) {
+    const sessionsDir = Path.join(profilePath, "Sessions");
+    if (fs.existsSync(sessionsDir)) {
+        const newest = fs.readdirSync(sessionsDir)
+            .filter(file => file.startsWith(prefix) && /^\d+$/.test(file.slice(prefix.length)))
+            .sort((a, b) => Number(b.slice(prefix.length)) - Number(a.slice(prefix.length)))[0];
+        if (newest) {
+            return Path.join(sessionsDir, newest);
+        }
+    }
+    const legacyPath = Path.join(profilePath, legacyFile);
+    return fs.existsSync(legacyPath) ? legacyPath : null;
+}
+
+/**
+ * Finds the current session file, holding the open windows and tabs, and the tabs file,
+ * holding the recently closed tabs, of a Chromium profile
+ * @param profilePath profile directory
+ * @returns {{session: String|null, tabs: String|null}}
+ */
+function findChromiumSessionFiles(profilePath) {
+    return {
+        session: findNewestSnssFile(profilePath, "Session_", "Current Session"),
+        tabs: findNewestSnssFile(profilePath, "Tabs_", "Current Tabs"),
+    };
+}
+
+/**
+ * Reads the commands of an SNSS file
+ * @param snssPath
+ * @returns {Array<{id: number, payload: Buffer}>}
+ */
+function readSnssCommands(snssPath) {
+    return parseSnss(fs.readFileSync(snssPath)).commands;
+}
+
+/**
+ * Reads an UpdateTabNavigation payload: the tab id followed by the pickled navigation entry,
+ * of which only the index, url and title are needed.
+ * @param payload
+ * @returns {{tabId: number, index: number, url: String, title: String}}
+ */
+function readNavigation(payload) {
+    const pickle = createPickleReader(payload);
+    const tabId = pickle.readInt();
+    const index = pickle.readInt();
+    const url = pickle.readString();
+    const title = pickle.readString16();
+    return { tabId, index, url, title };
+}
+
+/**
+ * Formats the two halves of a tab group token the way Chrome does, 32 hexadecimal digits
+ * @param high
+ * @param low
+ * @returns {String}
+ */
+function tokenToString(high, low) {
+    return (high.toString(16).padStart(16, "0") + low.toString(16).padStart(16, "0")).toUpperCase();
+}
+
+/**
+ * Builds the history entries of a Chromium tab from its navigations keyed by their index
+ * @param tab
+ * @returns {{entries: Array, currentEntry: number}}
+ */
+function toChromiumEntries(tab) {
+    const indexes = Array.from(tab.navigations.keys()).sort((a, b) => a - b);
+    const entries = indexes.map(index => {
+        const navigation = tab.navigations.get(index);
+        return { url: navigation.url, title: navigation.title || null };
+    });
+    let currentEntry = indexes.indexOf(tab.currentIndex);
+    if (currentEntry === -1) {
+        currentEntry = entries.length - 1;
+    }
+    return { entries, currentEntry };
+}
+
+/**
+ * Builds a tab in the shape of the Firefox tabs from a Chromium tab
+ * @param tab
+ * @param index
+ * @param selected
+ * @param group
+ * @returns {Object}
+ */
+function toChromiumTab(tab, index, selected, group) {
+    const { entries, currentEntry } = toChromiumEntries(tab);
+    const current = entries[currentEntry] || {};
+    // Older versions of Chrome store monotonic clock values in places, those are dropped
+    const lastAccessedMs = tab.lastActiveTime ? chromeTimeToEpochMs(tab.lastActiveTime) : null;
+    return {
+        index: index,
+        title: current.title || null,
+        url: current.url || null,
+        pinned: tab.pinned,
+        hidden: false,
+        selected: selected,
+        last_accessed: toIsoTime(lastAccessedMs),
+        last_accessed_ms: lastAccessedMs,
+        current_entry: currentEntry,
+        entries: entries,
+        group: group,
+    };
+}
+
+/**
+ * Removes navigations from a Chromium tab, moving the ones after them down
+ * @param tab
+ * @param start index of the first navigation removed
+ * @param count number of navigations removed
+ */
+function pruneNavigations(tab, start, count) {
+    let navigations = new Map();
+    for (const [index, navigation] of tab.navigations) {
+        if (index < start) {
+            navigations.set(index, navigation);
+        } else if (index >= start + count) {
+            navigations.set(index - count, navigation);
+        }
+    }
+    tab.navigations = navigations;
+    if (tab.currentIndex >= start + count) {
+        tab.currentIndex -= count;
+    } else if (tab.currentIndex >= start) {
+        tab.currentIndex = Math.max(start - 1, 0);
+    }
+}
+
+/**
+ * Replays the commands of a Chromium session file to rebuild its open windows and tabs.
+ * Commands with a payload too short for them are skipped.
+ * @param commands commands of a Session_* file
+ * @returns {Array}
+ */
+function toChromiumWindows(commands) {
+    let windows = new Map();
+    let tabs = new Map();
+    let groups = new Map();
+    let activeWindowId = null;
+
+    const windowFor = id => {
+        if (!windows.has(id)) {
+            windows.set(id, { selectedTabIndex: 0, type: 0 });
+        }
+        return windows.get(id);
+    };
+    const tabFor = id => {
+        if (!tabs.has(id)) {
+            tabs.set(id, { windowId: null, index: 0, navigations: new Map(), currentIndex: -1, pinned: false, groupId: null, lastActiveTime: null });
+        }
+        return tabs.get(id);
+    };
+
+    for (const { id, payload } of commands) {
+        try {
+            switch (id) {
+                case SESSION_COMMANDS.SET_TAB_WINDOW:
+                    tabFor(payload.readInt32LE(4)).windowId = payload.readInt32LE(0);
+                    windowFor(payload.readInt32LE(0));
+                    break;
+                case SESSION_COMMANDS.SET_TAB_INDEX_IN_WINDOW:
+                    tabFor(payload.readInt32LE(0)).index = payload.readInt32LE(4);
+                    break;
+                case SESSION_COMMANDS.TAB_NAVIGATION_PATH_PRUNED_FROM_BACK: {
+                    const tab = tabFor(payload.readInt32LE(0));
+                    pruneNavigations(tab, payload.readInt32LE(4), Infinity);
+                    break;
+                }
+                case SESSION_COMMANDS.TAB_NAVIGATION_PATH_PRUNED_FROM_FRONT:
+                    pruneNavigations(tabFor(payload.readInt32LE(0)), 0, payload.readInt32LE(4));
+                    break;
+                case SESSION_COMMANDS.TAB_NAVIGATION_PATH_PRUNED:
+                    pruneNavigations(tabFor(payload.readInt32LE(0)), payload.readInt32LE(4), payload.readInt32LE(8));
+                    break;
+                case SESSION_COMMANDS.UPDATE_TAB_NAVIGATION: {
+                    const navigation = readNavigation(payload);
+                    tabFor(navigation.tabId).navigations.set(navigation.index, navigation);
+                    break;
+                }
+                case SESSION_COMMANDS.SET_SELECTED_NAVIGATION_INDEX:
+                    tabFor(payload.readInt32LE(0)).currentIndex = payload.readInt32LE(4);
+                    break;
+                case SESSION_COMMANDS.SET_SELECTED_TAB_IN_INDEX:
+                    windowFor(payload.readInt32LE(0)).selectedTabIndex = payload.readInt32LE(4);
+                    break;
+                case SESSION_COMMANDS.SET_WINDOW_TYPE:
+                    windowFor(payload.readInt32LE(0)).type = payload.readInt32LE(4);
+                    break;
+                case SESSION_COMMANDS.SET_PINNED_STATE:
+                    tabFor(payload.readInt32LE(0)).pinned = payload[4] !== 0;
+                    break;
+                case SESSION_COMMANDS.TAB_CLOSED:
+                    tabs.delete(payload.readInt32LE(0));
+                    break;
+                case SESSION_COMMANDS.WINDOW_CLOSED:
+                    windows.delete(payload.readInt32LE(0));
+                    break;
+                case SESSION_COMMANDS.SET_ACTIVE_WINDOW:
+                    activeWindowId = payload.readInt32LE(0);
+                    break;
+                case SESSION_COMMANDS.LAST_ACTIVE_TIME:
+                    tabFor(payload.readInt32LE(0)).lastActiveTime = Number(payload.readBigInt64LE(8));
+                    break;
+                case SESSION_COMMANDS.SET_TAB_GROUP: {
+                    // The group token is two 64 bit halves, followed by whether the tab is in a group at all
+                    const tab = tabFor(payload.readInt32LE(0));
+                    tab.groupId = payload[24] !== 0
+                        ? tokenToString(payload.readBigUInt64LE(8), payload.readBigUInt64LE(16))
+                        : null;
+                    break;
+                }
+                case SESSION_COMMANDS.SET_TAB_GROUP_METADATA: {
+                    const pickle = createPickleReader(payload);
+                    const groupId = tokenToString(pickle.readUInt64(), pickle.readUInt64());
+                    const title = pickle.readString16();
+                    const color = pickle.readUInt32();
+                    groups.set(groupId, { id: groupId, title: title, color: CHROME_GROUP_COLORS[color] || "grey" });
+                    break;
+                }
+                default:
+                    break;
+            }
+        } catch (error) {
+            if (!(error instanceof RangeError) && !(error instanceof CorruptError)) {
+                throw error;
+            }
+        }
+    }
+
+    let result = [];
+    for (const [windowId, window] of windows) {
+        const windowTabs = Array.from(tabs.values())
+            .filter(tab => tab.windowId === windowId && tab.navigations.size > 0)
+            .sort((a, b) => a.index - b.index);
+        if (windowTabs.length === 0) {
+            continue;
+        }
+        result.push({
+            index: result.length,
+            selected: windowId === activeWindowId,
+            type: CHROME_WINDOW_TYPES[window.type] || "normal",
+            tabs: windowTabs.map((tab, tabIndex) => {
+                const group = tab.groupId ? groups.get(tab.groupId) || { id: tab.groupId, title: "", color: "grey" } : null;
+                return toChromiumTab(tab, tabIndex, tabIndex === window.selectedTabIndex, group);
+            }),
+        });
+    }
+    return result;
+}
+
+/**
+ * Replays the commands of a Chromium tabs file to rebuild the recently closed tabs, the ones
+ * restored since left out. Tabs of closed windows are listed like the other closed tabs.
+ * @param commands commands of a Tabs_* file
+ * @returns {Array} most recently closed first
+ */
+function toChromiumClosedTabs(commands) {
+    let tabs = new Map();
+    let restored = new Set();
+    let lastTab = null;
+
+    for (const { id, payload } of commands) {
+        try {
+            switch (id) {
+                case TAB_RESTORE_COMMANDS.SELECTED_NAVIGATION_IN_TAB:
+                    lastTab = {
+                        navigations: new Map(),
+                        currentIndex: payload.readInt32LE(4),
+                        pinned: false,
+                        closedTime: payload.length >= 16 ? Number(payload.readBigInt64LE(8)) : null,
+                    };
+                    tabs.set(payload.readInt32LE(0), lastTab);
+                    break;
+                case TAB_RESTORE_COMMANDS.UPDATE_TAB_NAVIGATION: {
+                    const navigation = readNavigation(payload);
+                    if (tabs.has(navigation.tabId)) {
+                        tabs.get(navigation.tabId).navigations.set(navigation.index, navigation);
+                    }
+                    break;
+                }
+                case TAB_RESTORE_COMMANDS.PINNED_STATE:
+                    // Applies to the tab read last
+                    if (lastTab) {
+                        lastTab.pinned = payload[0] !== 0;
+                    }
+                    break;
+                case TAB_RESTORE_COMMANDS.RESTORED_ENTRY:
+                    restored.add(payload.readInt32LE(0));
+                    break;
+                default:
+                    break;
+            }
+        } catch (error) {
+            if (!(error instanceof RangeError) && !(error instanceof CorruptError)) {
+                throw error;
+            }
+        }
+    }
+
+    return Array.from(tabs.entries())
+        .filter(([tabId, tab]) => !restored.has(tabId) && tab.navigations.size > 0)
+        .sort(([, a], [, b]) => (b.closedTime || 0) - (a.closedTime || 0))
+        .map(([, tab], index) => {
+            const closedMs = tab.closedTime ? chromeTimeToEpochMs(tab.closedTime) : null;
+            return Object.assign(toChromiumTab(tab, index, false, null), {
+                closed_time: toIsoTime(closedMs),
+                closed_time_ms: closedMs,
+            });
+        });
+}
+
+/**
+ * Builds a tab from a Firefox session tab. Firefox numbers the current entry and the
+ * selected tab and window from 1.
+ * @param tab
+ * @param index position of the tab in its window
+ * @param selected whether this is the window's selected tab
+ * @returns {Object}
+ */
+function toMozillaTab(tab, index, selected) {
+    const entries = (tab.entries || []).map(entry => {
+        return { url: entry.url, title: entry.title || null };
+    });
+    const currentEntry = entries.length === 0 ? -1 : Math.min(Math.max((tab.index || entries.length) - 1, 0), entries.length - 1);
+    const current = entries[currentEntry] || {};
+    const lastAccessedMs = tab.lastAccessed || null;
+    return {
+        index: index,
+        title: current.title || null,
+        url: current.url || null,
+        pinned: tab.pinned === true,
+        hidden: tab.hidden === true,
+        selected: selected,
+        last_accessed: toIsoTime(lastAccessedMs),
+        last_accessed_ms: lastAccessedMs,
+        current_entry: currentEntry,
+        entries: entries,
+        group: null,
+    };
+}
+
+/**
+ * Builds the windows and their tabs from a parsed Firefox session
+ * @param session
+ * @returns {Array}
+ */
+function toMozillaWindows(session) {
+    const selectedWindow = (session.selectedWindow || 1) - 1;
+    return (session.windows || []).map((window, windowIndex) => {
+        const selectedTab = (window.selected || 1) - 1;
+        return {
+            index: windowIndex,
+            selected: windowIndex === selectedWindow,
+            type: window.isPopup ? "popup" : "normal",
+            tabs: (window.tabs || []).map((tab, tabIndex) => toMozillaTab(tab, tabIndex, tabIndex === selectedTab)),
+        };
+    });
+}
+
+/**
+ * Builds the recently closed tabs from a parsed Firefox session, most recently closed first
+ * @param session
+ * @returns {Array}
+ */
+function toMozillaClosedTabs(session) {
+    let closedTabs = [];
+    for (const window of session.windows || []) {
+        closedTabs = closedTabs.concat(window.closedTabs || []);
+    }
+    return closedTabs
+        .sort((a, b) => (b.closedAt || 0) - (a.closedAt || 0))
+        .map((closedTab, index) => {
+            const closedMs = closedTab.closedAt || null;
+            return Object.assign(toMozillaTab(closedTab.state || {}, index, false), {
+                closed_time: toIsoTime(closedMs),
+                closed_time_ms: closedMs,
+            });
+        });
+}
+
+module.exports = {
+    findMozillaSessionFile,
+    readMozillaSession,
+    toMozillaWindows,
+    toMozillaClosedTabs,
+    findChromiumSessionFiles,
+    readSnssCommands,
+    toChromiumWindows,
+    toChromiumClosedTabs
+};
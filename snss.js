@@ -0,0 +1,85 @@
+/**
+ * Parser for the SNSS command logs Chromium-based browsers keep their sessions in, the
+ * Sessions/Session_* and Sessions/Tabs_* files of a profile. The file is the magic "SNSS",
+ * a 32 bit version and a list of commands, each a 16 bit size, an 8 bit command id and
+ * size - 1 bytes of payload. Payloads are either plain structs or base::Pickle data.
+ */
+
+const { CorruptError } = require('./errors');
+
+const MAGIC = "SNSS";
+const HEADER_SIZE = 8;
+// Pickles start with the 32 bit size of their payload
+const PICKLE_HEADER_SIZE = 4;
+
+/**
+ * Splits an SNSS file into its commands. A command cut short at the end of the file, as
+ * happens when it is read while the browser writes it, is left out.
+ * @param buffer contents of the file
+ * @returns {{version: number, commands: Array<{id: number, payload: Buffer}>}}
+ */
+function parseSnss(buffer) {
+    if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, MAGIC.length) !== MAGIC) {
+        throw new CorruptError('Not an SNSS file');
+    }
+    const version = buffer.readInt32LE(MAGIC.length);
+    let commands = [];
+    let offset = HEADER_SIZE;
+    while (offset + 2 <= buffer.length) {
+        const size = buffer.readUInt16LE(offset);
+        offset += 2;
+        if (size === 0 || offset + size > buffer.length) {
+            break;
+        }
+        commands.push({ id: buffer[offset], payload: buffer.slice(offset + 1, offset + size) });
+        offset += size;
+    }
+    return { version, commands };
+}
+
+/**
+ * Creates a reader for a base::Pickle. Every value is aligned to 4 bytes, strings are their
+ * length followed by their characters, UTF-8 for strings and UTF-16 for string16s.
+ * The read functions throw once the pickle runs out of data.
+ * @param buffer
+ * @returns {Object}
+ */
+function createPickleReader(buffer) {
+    if (buffer.length < PICKLE_HEADER_SIZE) {
+        throw new CorruptError('Pickle is too short');
+    }
+    const end = Math.min(buffer.length, PICKLE_HEADER_SIZE + buffer.readUInt32LE(0));
+    let offset = PICKLE_HEADER_SIZE;
+
+    const take = size => {
+        if (size < 0 || offset + size > end) {
+            throw new CorruptError('Pickle ends before the value');
+        }
+        const start = offset;
+        offset += Math.ceil(size / 4) * 4;
+        return start;
+    };
+
+    return {
+        readInt: () => buffer.readInt32LE(take(4)),
+        readUInt32: () => buffer.readUInt32LE(take(4)),
+        readInt64: () => Number(buffer.readBigInt64LE(take(8))),
+        readUInt64: () => buffer.readBigUInt64LE(take(8)),
+        readBool: () => buffer.readInt32LE(take(4)) !== 0,
+        readString: () => {
+            const length = buffer.readInt32LE(take(4));
+            const start = take(length);
+            return buffer.toString('utf8', start, start + length);
+        },
+        readString16: () => {
+            const length = buffer.readInt32LE(take(4));
+            const start = take(length * 2);
+            return buffer.toString('utf16le', start, start + length * 2);
+        },
+    };
+}
+
+module.exports = {
+    parseSnss,
+    createPickleReader
+};
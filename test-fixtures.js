@@ -0,0 +1,1223 @@
+const assert = require('assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Database = require('./lib/sqlite-async');
+const { CorruptError, NotFoundError, SchemaUnsupportedError } = require('./errors');
+const { decompressMozLz4, isMozLz4 } = require('./mozlz4');
+const { decodeChromeTransition, decodeMozillaTransition } = require('./transitions');
+const { createPickleReader, parseSnss } = require('./snss');
+
+let history = require("./index");
+
+// Browser data files with fixed visit times, 2024-03-01T12:00:00Z and before, read through the
+// paths option so the tests run on any platform without the browsers installed
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const FIXTURE_PATHS = {
+    chrome: path.join(FIXTURES_DIR, 'chrome'),
+    firefox: path.join(FIXTURES_DIR, 'firefox'),
+    safari: path.join(FIXTURES_DIR, 'safari'),
+};
+
+/**
+ * Copies the fixture of a browser to a temp directory so a test can change it
+ * @param browser key of FIXTURE_PATHS
+ * @returns {string} the copy, to pass in the paths option
+ */
+function copyFixture(browser) {
+    const copyDir = fs.mkdtempSync(path.join(os.tmpdir(), `browser-history-${browser}-`));
+    fs.cpSync(FIXTURE_PATHS[browser], copyDir, { recursive: true });
+    return copyDir;
+}
+
+/**
+ * Copies the Chrome fixture to a temp directory so a test can change it. extraProfiles adds a profile
+ * next to Default for every directory name, with the given contents as its History, or none for null.
+ * @param extraProfiles e.g. { "Profile 1": "not a database" }
+ * @returns {string} the copy, to pass in the paths option
+ */
+function copyChromeFixture(extraProfiles = {}) {
+    const chromeDir = copyFixture('chrome');
+    const localStatePath = path.join(chromeDir, 'Local State');
+    let localState = JSON.parse(fs.readFileSync(localStatePath, 'utf8'));
+    for (const [directory, contents] of Object.entries(extraProfiles)) {
+        fs.mkdirSync(path.join(chromeDir, directory));
+        if (contents !== null) {
+            fs.writeFileSync(path.join(chromeDir, directory, 'History'), contents);
+        }
+        localState.profile.info_cache[directory] = { name: directory };
+    }
+    fs.writeFileSync(localStatePath, JSON.stringify(localState));
+    return chromeDir;
+}
+
+function runSql(dbPath, sql) {
+    return Database.open(dbPath).then(db => db.close(db => db.exec(sql)));
+}
+
+async function collect(iterable) {
+    let items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+}
+
+function testUnboundedHistory() {
+    console.log("***** RUNNING UNBOUNDED FIXTURE HISTORY *****");
+    return history.getHistory({ browsers: ['chrome', 'firefox'], paths: FIXTURE_PATHS }).then(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => source.status), ['ok', 'ok']);
+        assert(records.length > 0, 'Expected the fixture history');
+        for (let record of records) {
+            if (record.utc_time === null || !(record.utc_time_ms > 0)) {
+                throw new Error(`Record without a visit time: ${record.url}`);
+            }
+        }
+        assert(!records.some(record => record.url === 'https://never.example/'), 'Expected the never visited Chrome url to be left out');
+        assert(!records.some(record => record.url.startsWith('place:')), 'Expected the never visited Firefox places to be left out');
+        console.log("PASS UNBOUNDED FIXTURE HISTORY");
+        return records;
+    }).catch(error => {
+        console.log("***** FAIL UNBOUNDED FIXTURE HISTORY *****");
+        return Promise.reject(error);
+    });
+}
+
+function testTimeRange() {
+    console.log("***** RUNNING FIXTURE TIME RANGE *****");
+    // Chrome has visits at 11:30, 11:49 and 11:50, Firefox at 11:54:59 and 11:55 on 2024-03-01
+    const options = { browsers: ['chrome', 'firefox'], paths: FIXTURE_PATHS };
+    const visitTimes = (since, until) => {
+        return history.getVisits(Object.assign({ since, until }, options)).then(({ records }) => {
+            return records.map(record => `${record.browser === 'Google Chrome' ? 'chrome' : 'firefox'} ${record.utc_time.slice(11, 19)}`);
+        });
+    };
+    return Promise.all([
+        visitTimes(Date.UTC(2024, 2, 1, 11, 50), null),
+        visitTimes('2024-03-01T11:30:00Z', new Date(Date.UTC(2024, 2, 1, 11, 50))),
+        visitTimes(new Date('2024-03-01T11:49:00Z'), '2024-03-01T11:55:00.000Z'),
+        visitTimes(Date.UTC(2024, 2, 1, 11, 50), Date.UTC(2024, 2, 1, 11, 50)),
+        // getHistory goes by the last visit of each page, example.com's at 11:50 and all of Firefox's at 11:55
+        history.getHistory(Object.assign({ since: '2024-03-01T11:50:00Z', until: '2024-03-01T11:55:00Z' }, options)),
+    ]).then(results => {
+        const lastVisited = results.pop().records.map(record => record.url);
+        assert.deepStrictEqual(results, [
+            ['chrome 11:50:00', 'firefox 11:54:59', 'firefox 11:55:00', 'firefox 11:55:00', 'firefox 11:55:00'],
+            ['chrome 11:30:00', 'chrome 11:49:00'],
+            ['chrome 11:49:00', 'chrome 11:50:00', 'firefox 11:54:59'],
+            [],
+        ]);
+        assert.deepStrictEqual(lastVisited, ['https://example.com/Default']);
+        const invalidRanges = [
+            [{ since: '2024-03-02', until: '2024-03-01' }, RangeError],
+            [{ since: Date.UTC(2024, 2, 1, 12), until: new Date(Date.UTC(2024, 2, 1, 11)) }, RangeError],
+            [{ since: 'not a date' }, TypeError],
+            [{ until: new Date('garbage') }, TypeError],
+            [{ since: {} }, TypeError],
+            [{ until: NaN }, TypeError],
+        ];
+        return Promise.all(invalidRanges.map(([range, errorClass]) => {
+            return assert.rejects(history.getHistory(Object.assign({}, options, range)), errorClass);
+        }));
+    }).then(results => {
+        console.log("PASS FIXTURE TIME RANGE");
+        return results;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE TIME RANGE *****");
+        return Promise.reject(error);
+    });
+}
+
+function testMissingRoot() {
+    console.log("***** RUNNING FIXTURE MISSING ROOT *****");
+    // A directory given in paths without a profile is reported, the other browsers are still read
+    const options = { browsers: ['chrome', 'firefox'], paths: { chrome: ['/nonexistent'], firefox: FIXTURE_PATHS.firefox } };
+    return history.getHistory(options).then(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => [source.browser, source.status]), [
+            ['Google Chrome', 'error'],
+            ['Mozilla Firefox', 'ok'],
+        ]);
+        assert(sources[0].error instanceof NotFoundError, `Expected a NotFoundError, got ${sources[0].error}`);
+        assert.strictEqual(sources[0].path, '/nonexistent');
+        assert(records.length > 0 && records.every(record => record.browser === 'Mozilla Firefox'));
+        console.log("PASS FIXTURE MISSING ROOT");
+        return sources;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE MISSING ROOT *****");
+        return Promise.reject(error);
+    });
+}
+
+function testSourceErrors() {
+    console.log("***** RUNNING FIXTURE SOURCE ERRORS *****");
+    // Next to Default, Missing has no History, Old a History without visits and Garbage one that is no database
+    const chromeDir = copyChromeFixture({ Missing: null, Old: null, Garbage: 'not a database' });
+    const oldPath = path.join(chromeDir, 'Old', 'History');
+    return runSql(oldPath, 'CREATE TABLE urls (id INTEGER PRIMARY KEY, url LONGVARCHAR, title LONGVARCHAR)').then(() => {
+        return history.getVisits({ browsers: ['chrome'], paths: { chrome: chromeDir } });
+    }).then(({ records, sources }) => {
+        const byProfile = new Map(sources.map(source => [source.profile, source]));
+        assert.strictEqual(byProfile.get('chrome:native:Default').status, 'ok');
+        assert(records.length > 0 && records.every(record => record.profile === 'chrome:native:Default'));
+        const expected = [
+            ['chrome:native:Missing', NotFoundError],
+            ['chrome:native:Old', SchemaUnsupportedError],
+            ['chrome:native:Garbage', CorruptError],
+        ];
+        for (const [profileId, errorClass] of expected) {
+            const source = byProfile.get(profileId);
+            assert.strictEqual(source.status, 'error');
+            assert(source.error instanceof errorClass, `Expected a ${errorClass.name} for ${profileId}, got ${source.error}`);
+        }
+        assert.strictEqual(byProfile.get('chrome:native:Old').error.path, oldPath);
+        console.log("PASS FIXTURE SOURCE ERRORS");
+        return sources;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE SOURCE ERRORS *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+    });
+}
+
+function testVisits() {
+    console.log("***** RUNNING FIXTURE VISITS *****");
+    // Chrome keeps the redirect flags above the core type, stored as a signed 32 bit integer:
+    // visit 5 is a server redirect (0xA0000000) and visit 6 a typed client redirect (0x50000001)
+    const chromeDir = copyChromeFixture();
+    const historyPath = path.join(chromeDir, 'Default', 'History');
+    return runSql(historyPath, `
+        INSERT INTO visits (url, visit_time, from_visit, transition, visit_duration) VALUES (1, 13353768000000000, 2, -1610612736, 0);
+        INSERT INTO visits (url, visit_time, from_visit, transition, visit_duration) VALUES (1, 13353768060000000, 5, 1342177281, 2500000);
+    `).then(() => {
+        return history.getVisits({ browsers: ['chrome', 'firefox'], paths: { chrome: chromeDir, firefox: FIXTURE_PATHS.firefox } });
+    }).then(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => [source.browser, source.recordCount]), [['Google Chrome', 6], ['Mozilla Firefox', 5]]);
+        const toVisits = browser => records
+            .filter(record => record.browser === browser)
+            .sort((a, b) => a.id - b.id)
+            .map(record => [record.id, record.utc_time, record.transition, record.duration_ms, record.from_visit]);
+        assert.deepStrictEqual(toVisits('Google Chrome'), [
+            [1, '2024-03-01T11:49:00.000Z', 'typed', 5000, null],
+            [2, '2024-03-01T11:50:00.000Z', 'reload', 0, 1],
+            [3, '2024-02-28T12:00:00.000Z', 'link', 1, null],
+            [4, '2024-03-01T11:30:00.000Z', 'typed', 0, null],
+            [5, '2024-03-01T12:00:00.000Z', 'redirect', 0, 2],
+            [6, '2024-03-01T12:01:00.000Z', 'redirect', 2500, 5],
+        ]);
+        // Firefox keeps the type of each visit in visit_type and no duration
+        assert.deepStrictEqual(toVisits('Mozilla Firefox'), [
+            [1, '2024-03-01T11:54:59.000Z', 'typed', null, null],
+            [2, '2024-03-01T11:55:00.000Z', 'link', null, 1],
+            [3, '2024-03-01T11:55:00.000Z', 'link', null, null],
+            [4, '2024-02-27T12:00:00.000Z', 'redirect', null, null],
+            [5, '2024-03-01T11:55:00.000Z', 'download', null, 2],
+        ]);
+        assert.deepStrictEqual([1, 5, 6, 9, 42].map(decodeMozillaTransition), ['link', 'redirect', 'redirect', 'reload', 'other']);
+        assert.deepStrictEqual([0, 1, 8, 0x30000008, 0x80000000 | 0, 0x40000001, 0xFF].map(decodeChromeTransition), [
+            'link', 'typed', 'reload', 'reload', 'redirect', 'redirect', 'other',
+        ]);
+        console.log("PASS FIXTURE VISITS");
+        return records;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE VISITS *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+    });
+}
+
+function testDownloads() {
+    console.log("***** RUNNING FIXTURE DOWNLOADS *****");
+    // Next to the complete download of each fixture, Chrome gets a cancelled and an interrupted one and
+    // Firefox a cancelled, a failed and one without metadata, which has not finished
+    const chromeDir = copyChromeFixture();
+    const firefoxDir = copyFixture('firefox');
+    const chromeDownload = (id, state, startTime) => `
+        INSERT INTO downloads VALUES (${id}, 'g${id}', '', '/home/u/Downloads/${id}.bin', ${startTime}, 10, 100, ${state}, 0, 0, '',
+            0, 0, 0, 0, '', '', '', '', 'GET', '', '', '', '', 'application/octet-stream', 'application/octet-stream');
+        INSERT INTO downloads_url_chains VALUES (${id}, 0, 'https://example.com/${id}.bin');
+    `;
+    const firefoxDownload = (placeId, metaData) => `
+        INSERT INTO moz_places (id, url, title) VALUES (${placeId}, 'https://files.example.com/${placeId}.bin', '${placeId}.bin');
+        INSERT INTO moz_annos (place_id, anno_attribute_id, content, dateAdded) VALUES
+            (${placeId}, 1, 'file:///home/u/Downloads/${placeId}.bin', ${1709294160000000 + placeId * 1000000});
+        ${metaData === null ? '' : `INSERT INTO moz_annos (place_id, anno_attribute_id, content) VALUES (${placeId}, 2, '${JSON.stringify(metaData)}');`}
+    `;
+    return Promise.all([
+        runSql(path.join(chromeDir, 'Default', 'History'), chromeDownload(2, 2, 13353767460000000) + chromeDownload(3, 4, 13353767520000000)),
+        runSql(path.join(firefoxDir, 'abcd.default-release', 'places.sqlite'), [
+            firefoxDownload(10, { state: 3, fileSize: 4096 }),
+            firefoxDownload(11, { state: 2, endTime: 1709294180000 }),
+            firefoxDownload(12, null),
+        ].join('')),
+    ]).then(() => {
+        return history.getDownloads({ browsers: ['chrome', 'firefox'], paths: { chrome: chromeDir, firefox: firefoxDir } });
+    }).then(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => source.status), ['ok', 'ok']);
+        const toDownloads = browser => records.filter(record => record.browser === browser).map(record => [
+            record.target_path, record.url, record.url_chain, record.state, record.total_bytes, record.received_bytes,
+            record.start_time, record.start_time_ms, record.end_time, record.end_time_ms,
+        ]);
+        // The url chain of a Chrome download is joined from downloads_url_chains, its url is the last in the chain
+        assert.deepStrictEqual(toDownloads('Google Chrome'), [
+            ['/home/u/Downloads/a.zip', 'https://cdn.example.com/a.zip', ['https://example.com/a', 'https://cdn.example.com/a.zip'],
+                'complete', 100, 100, '2024-03-01T11:50:00.000Z', 1709293800000, '2024-03-01T11:50:01.000Z', 1709293801000],
+            ['/home/u/Downloads/2.bin', 'https://example.com/2.bin', ['https://example.com/2.bin'],
+                'cancelled', 100, 10, '2024-03-01T11:51:00.000Z', 1709293860000, null, null],
+            ['/home/u/Downloads/3.bin', 'https://example.com/3.bin', ['https://example.com/3.bin'],
+                'interrupted', 100, 10, '2024-03-01T11:52:00.000Z', 1709293920000, null, null],
+        ]);
+        // Firefox keeps the target in downloads/destinationFileURI and the state, size and end in downloads/metaData
+        assert.deepStrictEqual(toDownloads('Mozilla Firefox'), [
+            ['/home/u/Downloads/b.pdf', 'https://files.example.com/b.pdf', ['https://files.example.com/b.pdf'],
+                'complete', 2048, 2048, '2024-03-01T11:55:00.000Z', 1709294100000, '2024-03-01T11:55:02.000Z', 1709294102000],
+            ['/home/u/Downloads/10.bin', 'https://files.example.com/10.bin', ['https://files.example.com/10.bin'],
+                'cancelled', 4096, null, '2024-03-01T11:56:10.000Z', 1709294170000, null, null],
+            ['/home/u/Downloads/11.bin', 'https://files.example.com/11.bin', ['https://files.example.com/11.bin'],
+                'interrupted', null, null, '2024-03-01T11:56:11.000Z', 1709294171000, '2024-03-01T11:56:20.000Z', 1709294180000],
+            ['/home/u/Downloads/12.bin', 'https://files.example.com/12.bin', ['https://files.example.com/12.bin'],
+                'in_progress', null, null, '2024-03-01T11:56:12.000Z', 1709294172000, null, null],
+        ]);
+        console.log("PASS FIXTURE DOWNLOADS");
+        return records;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE DOWNLOADS *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+        fs.rmSync(firefoxDir, { recursive: true, force: true });
+    });
+}
+
+function testSearchTerms() {
+    console.log("***** RUNNING FIXTURE SEARCH TERMS *****");
+    // Chrome keeps its searches in keyword_search_terms, Firefox's are recovered from the urls of
+    // search result pages, so its map and unknown site urls with a q parameter are no searches
+    const chromeDir = copyChromeFixture();
+    const firefoxDir = copyFixture('firefox');
+    const firefoxPlace = (id, url, visitTime) => `
+        INSERT INTO moz_places (id, url, title, last_visit_date) VALUES (${id}, '${url}', '', ${visitTime});
+    `;
+    return Promise.all([
+        runSql(path.join(chromeDir, 'Default', 'History'), `
+            INSERT INTO urls (id, url, title, visit_count, last_visit_time) VALUES (5, 'https://search.example.org/?find=Custom+Term', '', 1, 13353767700000000);
+            INSERT INTO keyword_search_terms VALUES (9, 5, 'Custom Term', 'custom term');
+        `),
+        runSql(path.join(firefoxDir, 'abcd.default-release', 'places.sqlite'), [
+            firefoxPlace(10, 'https://www.bing.com/search?q=%20Mixed%20%20Case%20', 1709294160000000),
+            firefoxPlace(11, 'https://www.google.com/maps?q=Berlin', 1709294170000000),
+            firefoxPlace(12, 'https://example.com/search?q=not+a+search', 1709294180000000),
+        ].join('')),
+    ]).then(() => {
+        return history.getSearchTerms({ browsers: ['chrome', 'firefox'], paths: { chrome: chromeDir, firefox: firefoxDir } });
+    }).then(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => source.status), ['ok', 'ok']);
+        const toSearches = browser => records
+            .filter(record => record.browser === browser)
+            .map(record => [record.term, record.normalized_term, record.search_engine, record.utc_time]);
+        // An engine that is not known is named after its host
+        assert.deepStrictEqual(toSearches('Google Chrome'), [
+            ['Hello World', 'hello world', 'Google', '2024-03-01T11:30:00.000Z'],
+            ['Custom Term', 'custom term', 'search.example.org', '2024-03-01T11:55:00.000Z'],
+        ]);
+        assert.deepStrictEqual(toSearches('Mozilla Firefox'), [
+            ['Node JS', 'node js', 'DuckDuckGo', '2024-03-01T11:55:00.000Z'],
+            [' Mixed  Case ', 'mixed case', 'Bing', '2024-03-01T11:56:00.000Z'],
+        ]);
+        console.log("PASS FIXTURE SEARCH TERMS");
+        return records;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE SEARCH TERMS *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+        fs.rmSync(firefoxDir, { recursive: true, force: true });
+    });
+}
+
+function testNewVisits() {
+    console.log("***** RUNNING FIXTURE NEW VISITS *****");
+    // Visit 4 at 11:30 holds the highest id, the newest visits read are 1 and 2 at 11:49 and 11:50
+    const chromeDir = copyChromeFixture();
+    const historyPath = path.join(chromeDir, 'Default', 'History');
+    const options = { browsers: ['chrome'], paths: { chrome: chromeDir } };
+    const readNewVisits = checkpoint => history.getNewVisits(Object.assign({ checkpoint }, options));
+    const toIds = records => records.map(record => record.id);
+    let checkpoint;
+    return readNewVisits().then(result => {
+        assert.deepStrictEqual(toIds(result.records), [3, 4, 1, 2]);
+        return readNewVisits(result.checkpoint);
+    }).then(result => {
+        assert.deepStrictEqual(result.records, []);
+        checkpoint = result.checkpoint;
+        // The visit the checkpoint ends on expires, nothing read before may come back
+        return runSql(historyPath, 'DELETE FROM visits WHERE id = 4').then(() => readNewVisits(checkpoint));
+    }).then(result => {
+        assert.deepStrictEqual(result.records, []);
+        checkpoint = result.checkpoint;
+        return runSql(historyPath, 'INSERT INTO visits (url, visit_time, from_visit, transition) VALUES (1, 13353768000000000, 0, 1)')
+            .then(() => readNewVisits(checkpoint));
+    }).then(result => {
+        assert.deepStrictEqual(result.records.map(record => [record.id, record.utc_time]), [[4, '2024-03-01T12:00:00.000Z']]);
+        return readNewVisits(result.checkpoint);
+    }).then(result => {
+        assert.deepStrictEqual(result.records, []);
+        checkpoint = result.checkpoint;
+        // The history is cleared and the ids handed out again
+        return runSql(historyPath, `
+            BEGIN;
+            DELETE FROM visits;
+            INSERT INTO visits (url, visit_time, from_visit, transition) VALUES (2, 13353768300000000, 0, 1);
+            COMMIT;
+        `).then(() => readNewVisits(checkpoint));
+    }).then(result => {
+        assert.deepStrictEqual(result.records.map(record => [record.id, record.url]), [[1, 'https://old.example.com/']]);
+        console.log("PASS FIXTURE NEW VISITS");
+        return result;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE NEW VISITS *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+    });
+}
+
+function testNewVisitsCheckpoint() {
+    console.log("***** RUNNING FIXTURE NEW VISITS CHECKPOINT *****");
+    const decode = checkpoint => JSON.parse(Buffer.from(checkpoint, 'base64').toString('utf8'));
+    const encode = decoded => Buffer.from(JSON.stringify(decoded)).toString('base64');
+    const firefoxId = 'firefox:native:abcd.default-release';
+    let firstCheckpoint;
+    return history.getNewVisits({ browsers: ['chrome', 'firefox'], paths: FIXTURE_PATHS }).then(result => {
+        firstCheckpoint = result.checkpoint;
+        // Firefox is left out of the next call and keeps its place
+        return history.getNewVisits({ browsers: ['chrome'], paths: FIXTURE_PATHS, checkpoint: firstCheckpoint });
+    }).then(result => {
+        assert.deepStrictEqual(result.records, []);
+        assert.deepStrictEqual(decode(result.checkpoint).profiles[firefoxId], decode(firstCheckpoint).profiles[firefoxId]);
+        return history.getNewVisits({ browsers: ['firefox'], paths: FIXTURE_PATHS, checkpoint: result.checkpoint });
+    }).then(result => {
+        assert.deepStrictEqual(result.records, []);
+        const otherVersion = encode(Object.assign(decode(firstCheckpoint), { version: 2 }));
+        const rejections = ['not a checkpoint', encode({ profiles: {} }), otherVersion].map(checkpoint => {
+            return history.getNewVisits({ browsers: ['chrome'], paths: FIXTURE_PATHS, checkpoint }).then(() => {
+                throw new Error(`Expected checkpoint ${checkpoint} to be rejected`);
+            }, error => assert(error instanceof TypeError, `Expected a TypeError, got ${error}`));
+        });
+        return Promise.all(rejections);
+    }).then(results => {
+        console.log("PASS FIXTURE NEW VISITS CHECKPOINT");
+        return results;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE NEW VISITS CHECKPOINT *****");
+        return Promise.reject(error);
+    });
+}
+
+function testListProfiles() {
+    console.log("***** RUNNING FIXTURE PROFILES *****");
+    // Profile 1 has a copy of Default's history but no account, Local State names Default as last used
+    const chromeDir = copyChromeFixture({ 'Profile 1': fs.readFileSync(path.join(FIXTURE_PATHS.chrome, 'Default', 'History')) });
+    const paths = { chrome: chromeDir, firefox: FIXTURE_PATHS.firefox };
+    const toProfiles = profiles => profiles.map(profile => [
+        profile.id, profile.directory, profile.name, profile.account, profile.account_name, profile.isDefault,
+    ]);
+    return history.listProfiles({ browsers: ['chrome', 'firefox'], paths }).then(profiles => {
+        assert.deepStrictEqual(toProfiles(profiles), [
+            ['chrome:native:Default', 'Default', 'Person Default', 'user@example.com', 'User', true],
+            ['chrome:native:Profile 1', 'Profile 1', 'Profile 1', null, null, false],
+            ['firefox:native:abcd.default-release', 'abcd.default-release', 'default-release', null, null, true],
+        ]);
+        assert.strictEqual(profiles[1].historyPath, path.join(chromeDir, 'Profile 1', 'History'));
+        return Promise.all([
+            history.getHistory({ browsers: ['chrome'], paths, profiles: ['chrome:native:Default'] }),
+            history.getHistory({ browsers: ['chrome'], paths, profiles: ['Profile 1'] }),
+            history.getHistory({ browsers: ['chrome'], paths }),
+        ]);
+    }).then(results => {
+        assert.deepStrictEqual(results.map(({ sources }) => sources.map(source => source.profile)), [
+            ['chrome:native:Default'],
+            ['chrome:native:Profile 1'],
+            ['chrome:native:Default', 'chrome:native:Profile 1'],
+        ]);
+        assert(results[0].records.length > 0 && results[0].records.every(record => record.profile === 'chrome:native:Default'));
+        console.log("PASS FIXTURE PROFILES");
+        return results;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE PROFILES *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+    });
+}
+
+function testDbAccess() {
+    console.log("***** RUNNING FIXTURE DB ACCESS *****");
+    const options = { browsers: ['chrome', 'firefox'], paths: FIXTURE_PATHS };
+    const read = dbAccess => Promise.all([
+        history.getHistory(Object.assign({ dbAccess }, options)),
+        history.getVisits(Object.assign({ dbAccess }, options)),
+        history.getBookmarks(Object.assign({ dbAccess }, options)),
+    ]).then(results => results.map(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => source.status), ['ok', 'ok']);
+        return records;
+    }));
+    let chromeDir;
+    let lockingDb;
+    return Promise.all([read('copy'), read('readOnly'), read('immutable')]).then(([copied, readOnly, immutable]) => {
+        assert(copied.every(records => records.length > 0));
+        assert.deepStrictEqual(readOnly, copied);
+        assert.deepStrictEqual(immutable, copied);
+        return assert.rejects(history.getHistory(Object.assign({ dbAccess: 'inPlace' }, options)), TypeError);
+    }).then(() => {
+        // Another connection holds an exclusive lock, as the browser does while it writes, so the
+        // database is read from a copy instead
+        chromeDir = copyChromeFixture();
+        return Database.open(path.join(chromeDir, 'Default', 'History'));
+    }).then(db => {
+        lockingDb = db;
+        return db.exec('PRAGMA locking_mode = EXCLUSIVE; BEGIN EXCLUSIVE;');
+    }).then(() => {
+        return Promise.all([
+            history.getHistory({ browsers: ['chrome'], paths: { chrome: chromeDir }, dbAccess: 'readOnly' }),
+            history.getHistory({ browsers: ['chrome'], paths: { chrome: FIXTURE_PATHS.chrome } }),
+        ]);
+    }).then(([locked, unlocked]) => {
+        assert.deepStrictEqual(locked.sources.map(source => source.status), ['ok']);
+        const toKeys = records => records.map(record => [record.url, record.utc_time_ms]);
+        assert.deepStrictEqual(toKeys(locked.records), toKeys(unlocked.records));
+        console.log("PASS FIXTURE DB ACCESS");
+        return locked.records;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE DB ACCESS *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        const closed = lockingDb ? lockingDb.exec('ROLLBACK').then(() => lockingDb.close()) : Promise.resolve();
+        return closed.then(() => {
+            if (chromeDir) {
+                fs.rmSync(chromeDir, { recursive: true, force: true });
+            }
+        });
+    });
+}
+
+function testSafariHistory() {
+    console.log("***** RUNNING SAFARI FIXTURE HISTORY *****");
+    // Safari keeps the visit times as Core Data seconds, the latest visit to apple.com has a fraction
+    return history.getHistory({ browsers: ['safari'], paths: FIXTURE_PATHS, since: Date.UTC(2024, 2, 1) }).then(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => source.status), ['ok']);
+        assert.deepStrictEqual(records.map(record => [record.title, record.url, record.utc_time, record.utc_time_ms, record.visit_count]), [
+            ['Apple', 'https://apple.com/', '2024-03-01T11:55:00.250Z', 1709294100250, 2],
+        ]);
+        assert.strictEqual(records[0].browser, 'Safari');
+        assert.strictEqual(records[0].source_path, path.join(FIXTURE_PATHS.safari, 'History.db'));
+        console.log("PASS SAFARI FIXTURE HISTORY");
+        return records;
+    }).catch(error => {
+        console.log("***** FAIL SAFARI FIXTURE HISTORY *****");
+        return Promise.reject(error);
+    });
+}
+
+function testSafariBookmarks() {
+    console.log("***** RUNNING SAFARI FIXTURE BOOKMARKS *****");
+    // Bookmarks.plist is a binary plist with the favorites bar, a nested folder and the reading list
+    return history.getBookmarks({ browsers: ['safari'], paths: FIXTURE_PATHS, shape: 'flat' }).then(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => source.status), ['ok']);
+        const byUrl = new Map(records.map(record => [record.url, record]));
+        assert.strictEqual(records.length, 3);
+        assert.deepStrictEqual(byUrl.get('https://webkit.org/').folder_path, ['Favorites']);
+        assert.strictEqual(byUrl.get('https://developer.apple.com/').title, 'Developer ✓');
+        assert.deepStrictEqual(byUrl.get('https://developer.apple.com/').folder_path, ['Favorites', 'Dev']);
+        const readingList = byUrl.get('https://read.example/');
+        assert.deepStrictEqual(readingList.folder_path, ['Reading List']);
+        assert.strictEqual(readingList.added_time, '2024-03-01T11:00:00.000Z');
+        assert.strictEqual(readingList.added_time_ms, 1709290800000);
+        console.log("PASS SAFARI FIXTURE BOOKMARKS");
+        return records;
+    }).catch(error => {
+        console.log("***** FAIL SAFARI FIXTURE BOOKMARKS *****");
+        return Promise.reject(error);
+    });
+}
+
+/**
+ * Waits for the first visit a watcher emits, calling write to change the history once the watcher
+ * is ready
+ * @param watcher
+ * @param write returns a promise
+ * @returns {Promise<{visit: Object, events: Array}>} the visit and the names of the events before it
+ */
+function waitForVisit(watcher, write) {
+    let events = [];
+    return new Promise((res, rej) => {
+        const timer = setTimeout(() => rej(new Error('No visit emitted')), 5000);
+        watcher.on('error', error => events.push(error));
+        watcher.on('visit', visit => {
+            clearTimeout(timer);
+            res({ visit, events });
+        });
+        watcher.on('ready', () => {
+            events.push('ready');
+            write().catch(error => {
+                clearTimeout(timer);
+                rej(error);
+            });
+        });
+    });
+}
+
+function testWatchHistory() {
+    console.log("***** RUNNING WATCH FIXTURE HISTORY *****");
+    // The watcher reads a copy of the Chrome fixture so a visit can be added to it
+    const chromeDir = copyChromeFixture();
+    const historyPath = path.join(chromeDir, 'Default', 'History');
+    const watcher = history.watchHistory({ browsers: ['chrome'], paths: { chrome: chromeDir }, debounceMs: 50 });
+    return waitForVisit(watcher, () => {
+        return runSql(historyPath, 'INSERT INTO visits (url, visit_time, from_visit, transition) VALUES (1, 13353768000000000, 0, 1)');
+    }).then(({ visit, events }) => {
+        assert.deepStrictEqual(events, ['ready']);
+        assert.strictEqual(visit.url, 'https://example.com/Default');
+        assert.strictEqual(visit.utc_time, '2024-03-01T12:00:00.000Z');
+        assert.strictEqual(visit.source_path, historyPath);
+        console.log("PASS WATCH FIXTURE HISTORY");
+        return visit;
+    }).catch(error => {
+        console.log("***** FAIL WATCH FIXTURE HISTORY *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        watcher.close();
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+    });
+}
+
+function testWatchHistoryUnreadableProfile() {
+    console.log("***** RUNNING WATCH FIXTURE UNREADABLE PROFILE *****");
+    // Profile 1 can not be read, the watcher reports it and still watches Default
+    const chromeDir = copyChromeFixture({ 'Profile 1': 'not a database' });
+    const historyPath = path.join(chromeDir, 'Default', 'History');
+    const watcher = history.watchHistory({ browsers: ['chrome'], paths: { chrome: chromeDir }, debounceMs: 50 });
+    return waitForVisit(watcher, () => {
+        return runSql(historyPath, 'INSERT INTO visits (url, visit_time, from_visit, transition) VALUES (1, 13353768000000000, 0, 1)');
+    }).then(({ visit, events }) => {
+        assert.strictEqual(events.length, 2);
+        assert(events[0] instanceof CorruptError, `Expected a CorruptError, got ${events[0]}`);
+        assert.strictEqual(events[0].path, path.join(chromeDir, 'Profile 1', 'History'));
+        assert.strictEqual(events[1], 'ready');
+        assert.strictEqual(visit.source_path, historyPath);
+        console.log("PASS WATCH FIXTURE UNREADABLE PROFILE");
+        return visit;
+    }).catch(error => {
+        console.log("***** FAIL WATCH FIXTURE UNREADABLE PROFILE *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        watcher.close();
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+    });
+}
+
+function testWatchHistoryAfterClear() {
+    console.log("***** RUNNING WATCH FIXTURE CLEARED HISTORY *****");
+    // Chrome hands out the ids of deleted visits again, the visit recorded after the clear gets id 1
+    const chromeDir = copyChromeFixture();
+    const historyPath = path.join(chromeDir, 'Default', 'History');
+    const watcher = history.watchHistory({ browsers: ['chrome'], paths: { chrome: chromeDir }, debounceMs: 50 });
+    return waitForVisit(watcher, () => {
+        return runSql(historyPath, `
+            BEGIN;
+            DELETE FROM visits;
+            INSERT INTO visits (url, visit_time, from_visit, transition) VALUES (2, 13353768300000000, 0, 1);
+            COMMIT;
+        `);
+    }).then(({ visit, events }) => {
+        assert.deepStrictEqual(events, ['ready']);
+        assert.strictEqual(visit.id, 1);
+        assert.strictEqual(visit.url, 'https://old.example.com/');
+        assert.strictEqual(visit.utc_time, '2024-03-01T12:05:00.000Z');
+        console.log("PASS WATCH FIXTURE CLEARED HISTORY");
+        return visit;
+    }).catch(error => {
+        console.log("***** FAIL WATCH FIXTURE CLEARED HISTORY *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        watcher.close();
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+    });
+}
+
+function testStreamHistory() {
+    console.log("***** RUNNING STREAM FIXTURE HISTORY *****");
+    // The stream gives the records of getHistory profile by profile, in the order of the browsers
+    // asked for and each profile's oldest visited first
+    const options = { browsers: ['chrome', 'firefox'], paths: FIXTURE_PATHS };
+    return Promise.all([collect(history.streamHistory(options)), history.getHistory(options)]).then(([streamed, { records }]) => {
+        const toKeys = list => list.map(record => `${record.browser} ${record.utc_time_ms} ${record.url}`);
+        assert.deepStrictEqual(toKeys(streamed).sort(), toKeys(records).sort());
+        const browserOrder = streamed.map(record => record.browser).filter((browser, i, list) => list.indexOf(browser) === i);
+        assert.deepStrictEqual(browserOrder, ['Google Chrome', 'Mozilla Firefox']);
+        for (let i = 1; i < streamed.length; i++) {
+            if (streamed[i].browser === streamed[i - 1].browser) {
+                assert(streamed[i].utc_time_ms >= streamed[i - 1].utc_time_ms, `Expected ${streamed[i].url} after ${streamed[i - 1].url}`);
+            }
+        }
+        assert(streamed.every(record => record.source_path.startsWith(FIXTURES_DIR)), 'Expected the records to be tagged with their file');
+        console.log("PASS STREAM FIXTURE HISTORY");
+        return streamed;
+    }).catch(error => {
+        console.log("***** FAIL STREAM FIXTURE HISTORY *****");
+        return Promise.reject(error);
+    });
+}
+
+function testStreamHistoryEarlyReturn() {
+    console.log("***** RUNNING STREAM FIXTURE EARLY RETURN *****");
+    // Copies are made in the TMP directory, stopping after the first record has to remove the copy
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'browser-history-tmp-'));
+    const previousTmp = process.env.TMP;
+    process.env.TMP = tmpDir;
+    const stream = history.streamHistory({ browsers: ['chrome'], paths: FIXTURE_PATHS, dbAccess: 'copy' });
+    return stream.next().then(first => {
+        assert.strictEqual(first.done, false);
+        assert.strictEqual(fs.readdirSync(tmpDir).filter(name => name.endsWith('.sqlite')).length, 1);
+        return stream.return();
+    }).then(last => {
+        assert.strictEqual(last.done, true);
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+        console.log("PASS STREAM FIXTURE EARLY RETURN");
+        return last;
+    }).catch(error => {
+        console.log("***** FAIL STREAM FIXTURE EARLY RETURN *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        if (previousTmp === undefined) {
+            delete process.env.TMP;
+        } else {
+            process.env.TMP = previousTmp;
+        }
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+}
+
+function testStreamHistoryBadSource() {
+    console.log("***** RUNNING STREAM FIXTURE BAD SOURCE *****");
+    // Profile 1 can not be read: it ends the stream with a typed error, or is skipped with onSourceError
+    const chromeDir = copyChromeFixture({ 'Profile 1': 'not a database' });
+    const badPath = path.join(chromeDir, 'Profile 1', 'History');
+    let sourceErrors = [];
+    const onSourceError = (error, source) => sourceErrors.push({ error, source });
+    return collect(history.streamHistory({ browsers: ['chrome'], paths: { chrome: chromeDir } })).then(() => {
+        throw new Error('Expected the stream to end with an error');
+    }, error => {
+        assert(error instanceof CorruptError, `Expected a CorruptError, got ${error}`);
+        assert.strictEqual(error.path, badPath);
+        return collect(history.streamHistory({ browsers: ['chrome'], paths: { chrome: chromeDir }, onSourceError }));
+    }).then(records => {
+        assert(records.length > 0, 'Expected the records of Default');
+        assert(records.every(record => record.profile === 'chrome:native:Default'));
+        assert.strictEqual(sourceErrors.length, 1);
+        assert(sourceErrors[0].error instanceof CorruptError);
+        assert.deepStrictEqual(
+            [sourceErrors[0].source.profile, sourceErrors[0].source.path, sourceErrors[0].source.status, sourceErrors[0].source.recordCount],
+            ['chrome:native:Profile 1', badPath, 'error', 0]
+        );
+        console.log("PASS STREAM FIXTURE BAD SOURCE");
+        return records;
+    }).catch(error => {
+        console.log("***** FAIL STREAM FIXTURE BAD SOURCE *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+    });
+}
+
+function testMozLz4() {
+    console.log("***** RUNNING MOZLZ4 FIXTURE *****");
+    // recovery.jsonlz4 was compressed by the lz4 tool, the repeated tab title is stored as a match
+    // overlapping the bytes it produces
+    const sessionPath = path.join(FIXTURE_PATHS.firefox, 'abcd.default-release', 'sessionstore-backups', 'recovery.jsonlz4');
+    const buffer = fs.readFileSync(sessionPath);
+    return Promise.resolve().then(() => {
+        assert(isMozLz4(buffer), 'Expected the mozLz4 magic');
+        const session = JSON.parse(decompressMozLz4(buffer).toString('utf8'));
+        assert.strictEqual(session.windows.length, 2);
+        assert.strictEqual(session.windows[0].tabs[1].entries[0].title, 'B '.repeat(40));
+        assert.throws(() => decompressMozLz4(buffer.subarray(0, buffer.length - 20)), CorruptError);
+        // A header claiming 4 GB is rejected before the output is allocated
+        let oversized = Buffer.from(buffer);
+        oversized.writeUInt32LE(0xFFFFFFFF, 8);
+        assert.throws(() => decompressMozLz4(oversized), CorruptError);
+        const atLimit = Buffer.concat([buffer.subarray(0, 12), Buffer.from([0x00])]);
+        atLimit.writeUInt32LE(255, 8);
+        assert.strictEqual(decompressMozLz4(atLimit).length, 0);
+        return history.getOpenTabs({ browsers: ['firefox'], paths: FIXTURE_PATHS });
+    }).then(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => source.status), ['ok']);
+        const tabs = records[0].windows[0].tabs;
+        assert.deepStrictEqual(tabs.map(tab => [tab.url, tab.title, tab.pinned, tab.hidden, tab.selected]), [
+            ['https://a.example/', 'A', true, false, false],
+            ['https://b.example/', 'B '.repeat(40), false, true, true],
+        ]);
+        assert.strictEqual(tabs[0].last_accessed, '2024-03-01T11:59:59.000Z');
+        assert.strictEqual(records[0].windows[1].selected, true);
+        console.log("PASS MOZLZ4 FIXTURE");
+        return records;
+    }).catch(error => {
+        console.log("***** FAIL MOZLZ4 FIXTURE *****");
+        return Promise.reject(error);
+    });
+}
+
+function testSnssSession() {
+    console.log("***** RUNNING SNSS FIXTURE SESSION *****");
+    // Session_* holds two windows, a tab group, a pinned tab, a navigation and a closed tab,
+    // Tabs_* the tabs closed with their window
+    const sessionPath = path.join(FIXTURE_PATHS.chrome, 'Default', 'Sessions', 'Session_13350000000000000');
+    const buffer = fs.readFileSync(sessionPath);
+    return Promise.resolve().then(() => {
+        const { version, commands } = parseSnss(buffer);
+        assert.strictEqual(version, 3);
+        // The file ends with a command cut short, as when the browser is still writing it, which is left out
+        assert.strictEqual(commands.length, 24);
+        assert.strictEqual(parseSnss(buffer.subarray(0, buffer.length - 4)).commands.length, 23);
+        assert.throws(() => parseSnss(Buffer.from('SQLite format 3')), CorruptError);
+        const pickle = createPickleReader(Buffer.from([8, 0, 0, 0, 2, 0, 0, 0, 0x68, 0x69, 0, 0]));
+        assert.strictEqual(pickle.readString(), 'hi');
+        assert.throws(() => pickle.readInt(), CorruptError);
+        return history.getOpenTabs({ browsers: ['chrome'], paths: FIXTURE_PATHS });
+    }).then(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => source.status), ['ok']);
+        assert.strictEqual(records[0].source, sessionPath);
+        const windows = records[0].windows;
+        assert.deepStrictEqual(windows.map(window => [window.type, window.selected]), [['normal', false], ['popup', true]]);
+        assert.deepStrictEqual(windows[0].tabs.map(tab => [tab.url, tab.title, tab.pinned, tab.selected]), [
+            ['https://one.example/b', 'One B', false, false],
+            ['https://two.example/', 'Zwei ✓', true, true],
+        ]);
+        assert.strictEqual(windows[0].tabs[0].current_entry, 1);
+        assert.deepStrictEqual(windows[0].tabs[0].group, { id: '0000000000000ABC0000000000000123', title: 'Work', color: 'blue' });
+        assert.strictEqual(windows[0].tabs[0].last_accessed, '2024-03-01T11:59:00.000Z');
+        assert.deepStrictEqual(records[0].closed_tabs.map(tab => [tab.url, tab.closed_time]), [
+            ['https://closed.example/2', '2024-03-01T11:59:00.000Z'],
+            ['https://closed-old.example/', '2024-03-01T11:00:00.000Z'],
+        ]);
+        console.log("PASS SNSS FIXTURE SESSION");
+        return records;
+    }).catch(error => {
+        console.log("***** FAIL SNSS FIXTURE SESSION *****");
+        return Promise.reject(error);
+    });
+}
+
+function testBookmarkTree() {
+    console.log("***** RUNNING FIXTURE BOOKMARK TREE *****");
+    // Both Chrome folders named Q3 are nested in other folders, Bookmarks bar/Work and Other bookmarks/Personal
+    const summarize = node => [node.type, node.title].concat(node.children ? [node.children.map(summarize)] : []);
+    return Promise.all([
+        history.getBookmarkTree({ browsers: ['chrome', 'firefox'], paths: FIXTURE_PATHS }),
+        history.getBookmarks({ browsers: ['chrome'], paths: FIXTURE_PATHS }),
+    ]).then(([{ records: trees, sources }, { records: bookmarks }]) => {
+        assert.deepStrictEqual(sources.map(source => source.status), ['ok', 'ok']);
+        const chromeTree = trees.find(tree => tree.browser === 'Google Chrome');
+        const report = chromeTree.roots[0].children[0].children[0].children[0];
+        assert.deepStrictEqual([report.id, report.guid, report.title, report.url], ['7', 'g7', 'Report', 'https://r.example.com/']);
+        assert.deepStrictEqual([report.date_last_used, report.date_last_used_ms], ['2024-03-01T11:50:00.000Z', 1709293800000]);
+        assert.strictEqual(chromeTree.roots[0].guid, '00000000-0000-4000-a000-000000000002');
+        assert.deepStrictEqual(chromeTree.roots[1].children.map(summarize), [
+            ['folder', 'Personal', [['folder', 'Q3', [['bookmark', 'Budget']]]]],
+        ]);
+        const folderPaths = new Map(bookmarks.map(bookmark => [bookmark.url, bookmark.folder_path]));
+        assert.deepStrictEqual(folderPaths.get('https://r.example.com/'), ['Bookmarks bar', 'Work', 'Q3']);
+        assert.deepStrictEqual(folderPaths.get('https://budget.example.com/'), ['Other bookmarks', 'Personal', 'Q3']);
+        // Firefox orders the children of a folder by moz_bookmarks.position, DuckDuckGo comes first though
+        // added after Projects, and the tags root is no folder of its own
+        const firefoxTree = trees.find(tree => tree.browser === 'Mozilla Firefox');
+        assert.deepStrictEqual(firefoxTree.roots.map(summarize), [
+            ['folder', 'menu', [['bookmark', 'Work query']]],
+            ['folder', 'toolbar', [
+                ['folder', 'Work', [['bookmark', 'DuckDuckGo'], ['folder', 'Projects', [['bookmark', 'Mozilla']]]]],
+                ['bookmark', 'Bookmarklet'],
+                ['separator', ''],
+            ]],
+            ['folder', 'unfiled', []],
+        ]);
+        console.log("PASS FIXTURE BOOKMARK TREE");
+        return trees;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE BOOKMARK TREE *****");
+        return Promise.reject(error);
+    });
+}
+
+function testMozillaBookmarks() {
+    console.log("***** RUNNING FIXTURE FIREFOX BOOKMARKS *****");
+    // Tags are folders under the tags root holding a bookmark of the url per tag, a second tag is added
+    // and Mozilla is modified after it was added
+    const firefoxDir = copyFixture('firefox');
+    const options = { browsers: ['firefox'], paths: { firefox: firefoxDir } };
+    const summarize = bookmark => [bookmark.title, bookmark.url, bookmark.folder_path];
+    return runSql(path.join(firefoxDir, 'abcd.default-release', 'places.sqlite'), `
+        INSERT INTO moz_bookmarks (id, type, fk, parent, position, title, dateAdded, lastModified, guid) VALUES
+            (15, 2, NULL, 4, 1, 'browsers', 1709294100000000, 1709294100000000, 't15'),
+            (16, 1, 1, 15, 0, NULL, 1709294100000000, 1709294100000000, 't16');
+        UPDATE moz_bookmarks SET lastModified = 1709294400000000 WHERE id = 8;
+    `).then(() => {
+        return Promise.all([history.getBookmarks(options), history.getBookmarks(Object.assign({ includeNonHttp: true }, options))]);
+    }).then(([{ records }, { records: allRecords }]) => {
+        assert.deepStrictEqual(records.map(summarize), [
+            ['DuckDuckGo', 'https://duckduckgo.com/?q=Node+JS&t=h_', ['toolbar', 'Work']],
+            ['Mozilla', 'https://mozilla.org/', ['toolbar', 'Work', 'Projects']],
+        ]);
+        const mozilla = records[1];
+        assert.deepStrictEqual(mozilla.tags.slice().sort(), ['browsers', 'work']);
+        assert.strictEqual(mozilla.keyword, 'moz');
+        assert.strictEqual(mozilla.description, 'Mozilla home');
+        assert.deepStrictEqual([mozilla.added_time_ms, mozilla.last_modified, mozilla.last_modified_ms], [
+            1709294100000, '2024-03-01T12:00:00.000Z', 1709294400000,
+        ]);
+        assert.deepStrictEqual([records[0].tags, records[0].keyword, records[0].description], [[], null, null]);
+        // Bookmarklets and place: queries only with includeNonHttp, the tag entries never
+        assert.deepStrictEqual(allRecords.map(summarize), records.map(summarize).concat([
+            ['Bookmarklet', 'javascript:alert(1)', ['toolbar']],
+            ['Work query', 'place:tag=work', ['menu']],
+        ]));
+        assert(!allRecords.some(record => record.folder_path[0] === 'tags'), 'Expected no bookmark in the tags root');
+        console.log("PASS FIXTURE FIREFOX BOOKMARKS");
+        return allRecords;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE FIREFOX BOOKMARKS *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        fs.rmSync(firefoxDir, { recursive: true, force: true });
+    });
+}
+
+function testBookmarksHtmlRoundTrip() {
+    console.log("***** RUNNING BOOKMARKS HTML ROUND TRIP *****");
+    // Both fixtures have a toolbar folder, only the first one written may be flagged as the toolbar
+    const escaped = {
+        title: 'Q&A <"tags">', url: 'https://q.example/?a=1&b="2"', folder_path: ['Bookmarks Toolbar', 'R&D'],
+        added_time: null, last_modified: null, tags: ['a&b'], keyword: null, description: 'x < y',
+    };
+    const fields = ['title', 'url', 'folder_path', 'added_time', 'added_time_ms', 'last_modified', 'last_modified_ms', 'tags', 'keyword', 'description'];
+    const pick = bookmark => fields.map(field => bookmark[field] === undefined ? null : bookmark[field]);
+    return history.getBookmarks({ browsers: ['chrome', 'firefox'], paths: FIXTURE_PATHS, shape: 'flat' }).then(({ records }) => {
+        const bookmarks = records.concat([escaped]);
+        const html = history.exportBookmarksHtml(bookmarks);
+        assert.strictEqual(html.match(/PERSONAL_TOOLBAR_FOLDER/g).length, 1);
+        assert(html.includes('<H3>R&amp;D</H3>'), 'Expected the folder name to be escaped');
+        // The file lays the bookmarks out folder by folder, so they are read back in another order
+        const imported = history.parseBookmarksHtml(html);
+        const byUrl = (a, b) => a.url < b.url ? -1 : (a.url > b.url ? 1 : 0);
+        assert.deepStrictEqual(imported.slice().sort(byUrl).map(pick), bookmarks.slice().sort(byUrl).map(pick));
+        const mozilla = imported.find(bookmark => bookmark.url === 'https://mozilla.org/');
+        assert.strictEqual(mozilla.added_time, '2024-03-01T11:55:00.000Z');
+        assert.strictEqual(mozilla.added_time_ms, 1709294100000);
+        assert.strictEqual(mozilla.last_modified_ms, 1709294100000);
+        console.log("PASS BOOKMARKS HTML ROUND TRIP");
+        return imported;
+    }).catch(error => {
+        console.log("***** FAIL BOOKMARKS HTML ROUND TRIP *****");
+        return Promise.reject(error);
+    });
+}
+
+function testExportEscaping() {
+    console.log("***** RUNNING EXPORT ESCAPING *****");
+    const record = {
+        browser: 'Google Chrome', title: 'Say "hi", then\nleave', url: 'https://x.example/?a=1&b=<2>',
+        utc_time: ' padded', utc_time_ms: 1709294400000, visit_count: 3, typed_count: null,
+    };
+    const bookmark = { browser: 'Mozilla Firefox', title: '<script>alert(1)</script>', url: 'javascript:alert(1)', folder_path: ['R&D', 'a,b'] };
+    return history.exportRecords([[record]], { format: 'csv' }).then(csv => {
+        // Fields with quotes, commas, line breaks or surrounding spaces are quoted and their quotes doubled
+        assert.deepStrictEqual(csv.toString('utf8').split('\r\n'), [
+            'browser,engine,profile,profile_name,packaging,source_path,title,url,utc_time,utc_time_ms,visit_count,typed_count',
+            'Google Chrome,,,,,,"Say ""hi"", then\nleave",https://x.example/?a=1&b=<2>," padded",1709294400000,3,',
+            '',
+        ]);
+        return history.exportRecords([bookmark], { format: 'csv', type: 'bookmarks' });
+    }).then(csv => {
+        assert(csv.toString('utf8').includes(',"[""R&D"",""a,b""]",'), 'Expected folder_path as quoted JSON text');
+        return history.exportRecords([record], { format: 'html' });
+    }).then(html => {
+        html = html.toString('utf8');
+        assert(html.includes('<td>Say &quot;hi&quot;, then\nleave</td>'), 'Expected the title to be escaped');
+        assert(html.includes('<a href="https://x.example/?a=1&amp;b=&lt;2&gt;" rel="noreferrer">https://x.example/?a=1&amp;b=&lt;2&gt;</a>'), 'Expected the link to be escaped');
+        return history.exportRecords([bookmark], { format: 'html', type: 'bookmarks' });
+    }).then(html => {
+        html = html.toString('utf8');
+        assert(!html.includes('<script>alert'), 'Expected no markup from the records');
+        assert(html.includes('<td>&lt;script&gt;alert(1)&lt;/script&gt;</td>'), 'Expected the title to be escaped');
+        // Only http and https urls become links
+        assert(html.includes('<td>javascript:alert(1)</td>'), 'Expected a javascript: url as text');
+        assert(html.includes('<td>R&amp;D / a,b</td>'), 'Expected the folder path to be escaped');
+        console.log("PASS EXPORT ESCAPING");
+        return html;
+    }).catch(error => {
+        console.log("***** FAIL EXPORT ESCAPING *****");
+        return Promise.reject(error);
+    });
+}
+
+function testLegacyShapes() {
+    console.log("***** RUNNING LEGACY FIXTURE SHAPES *****");
+    // Minutes back to before the oldest fixture visit
+    const minutes = Math.ceil((Date.now() - Date.UTC(2024, 1, 1)) / 60000);
+    return history.getChromeHistory(minutes, { paths: FIXTURE_PATHS }).then(databases => {
+        // Without a shape the legacy history functions return the records of each database
+        assert.strictEqual(databases.length, 1);
+        assert.deepStrictEqual(databases[0].map(record => record.url), [
+            'https://old.example.com/', 'https://www.google.com/search?q=hello+world&oq=hello', 'https://example.com/Default',
+        ]);
+        return history.getChromeHistory(minutes, { paths: FIXTURE_PATHS, shape: 'flat' });
+    }).then(records => {
+        assert.strictEqual(records.length, 3);
+        assert(!Array.isArray(records[0]), 'Expected a flat array');
+        return history.getChromeBookmarks({ paths: FIXTURE_PATHS });
+    }).then(bookmarks => {
+        // The legacy bookmark functions have always returned a single array
+        assert.deepStrictEqual(bookmarks.map(bookmark => bookmark.url), [
+            'https://r.example.com/', 'https://budget.example.com/', 'https://top.example.com/',
+        ]);
+        console.log("PASS LEGACY FIXTURE SHAPES");
+        return bookmarks;
+    }).catch(error => {
+        console.log("***** FAIL LEGACY FIXTURE SHAPES *****");
+        return Promise.reject(error);
+    });
+}
+
+function getFromServer(server, requestPath) {
+    return new Promise((res, rej) => {
+        const request = http.get(`${server.url}${requestPath}`, {
+            headers: { Authorization: `Bearer ${server.token}` },
+        }, response => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => body += chunk);
+            response.on('end', () => res({ statusCode: response.statusCode, body }));
+            response.on('error', rej);
+        });
+        request.on('error', rej);
+    });
+}
+
+function testCreateServer() {
+    console.log("***** RUNNING FIXTURE SERVER *****");
+    let server;
+    return history.createServer({ paths: FIXTURE_PATHS }).then(listening => {
+        server = listening;
+        return getFromServer(server, '/history?browser=safari&since=2024-03-01');
+    }).then(({ statusCode, body }) => {
+        assert.strictEqual(statusCode, 200);
+        assert.deepStrictEqual(JSON.parse(body).map(record => record.url), ['https://apple.com/']);
+        console.log("PASS FIXTURE SERVER");
+        return body;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE SERVER *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        if (server) {
+            server.close();
+        }
+    });
+}
+
+function testServerBadSource() {
+    console.log("***** RUNNING FIXTURE SERVER BAD SOURCE *****");
+    // Profile 1 can not be read, /history and /bookmarks both answer with the records of Default
+    const chromeDir = copyChromeFixture({ 'Profile 1': 'not a database' });
+    let server;
+    return history.createServer({ paths: { chrome: chromeDir } }).then(listening => {
+        server = listening;
+        return Promise.all([
+            getFromServer(server, '/history?browser=chrome'),
+            getFromServer(server, '/bookmarks?browser=chrome'),
+        ]);
+    }).then(responses => {
+        for (const { statusCode, body } of responses) {
+            assert.strictEqual(statusCode, 200);
+            const records = JSON.parse(body);
+            assert(records.length > 0, 'Expected the records of Default');
+            assert(records.every(record => record.profile === 'chrome:native:Default'));
+        }
+        console.log("PASS FIXTURE SERVER BAD SOURCE");
+        return responses;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE SERVER BAD SOURCE *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        if (server) {
+            server.close();
+        }
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+    });
+}
+
+function testRegisterBrowser() {
+    console.log("***** RUNNING FIXTURE REGISTER BROWSER *****");
+    // The browser keeps its profiles in the Chrome fixture on every platform, so no paths option is needed
+    const fixtureBrowser = {
+        id: 'fixture-chromium',
+        displayName: 'Fixture Chromium',
+        engine: history.ENGINES.CHROMIUM,
+        paths: { linux: FIXTURE_PATHS.chrome, darwin: FIXTURE_PATHS.chrome, win32: FIXTURE_PATHS.chrome },
+    };
+    history.registerBrowser(fixtureBrowser);
+    return history.getHistory({ browsers: ['fixture-chromium'] }).then(({ records, sources }) => {
+        assert.deepStrictEqual(sources.map(source => [source.browser, source.profile, source.status]), [
+            ['Fixture Chromium', 'fixture-chromium:native:Default', 'ok'],
+        ]);
+        assert.deepStrictEqual(records.map(record => [record.browser, record.engine, record.url]), [
+            ['Fixture Chromium', 'chromium', 'https://old.example.com/'],
+            ['Fixture Chromium', 'chromium', 'https://www.google.com/search?q=hello+world&oq=hello'],
+            ['Fixture Chromium', 'chromium', 'https://example.com/Default'],
+        ]);
+        const invalidBrowsers = [
+            fixtureBrowser,
+            Object.assign({}, fixtureBrowser, { id: 'chrome', displayName: 'Another Chrome' }),
+            Object.assign({}, fixtureBrowser, { id: 'fixture-unknown', displayName: 'Fixture Unknown', engine: 'trident' }),
+            Object.assign({}, fixtureBrowser, { id: 'fixture-no-paths', displayName: 'Fixture No Paths', paths: undefined }),
+            Object.assign({}, fixtureBrowser, { id: 'fixture-empty-paths', displayName: 'Fixture Empty Paths', paths: {} }),
+        ];
+        for (const browser of invalidBrowsers) {
+            assert.throws(() => history.registerBrowser(browser), TypeError, `Expected ${browser.id} to be rejected`);
+        }
+        // Rejected browsers are not registered
+        return assert.rejects(history.getHistory({ browsers: ['fixture-unknown'] }), TypeError);
+    }).then(() => {
+        // Replacing is asked for explicitly
+        const replaced = history.registerBrowser(Object.assign({ replace: true }, fixtureBrowser, { displayName: 'Fixture Chromium 2' }));
+        assert.strictEqual(replaced.displayName, 'Fixture Chromium 2');
+        console.log("PASS FIXTURE REGISTER BROWSER");
+        return replaced;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE REGISTER BROWSER *****");
+        return Promise.reject(error);
+    });
+}
+
+/**
+ * Runs bin/browser-history.js with the arguments from the repository directory
+ * @param args
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runCli(args) {
+    return new Promise(res => {
+        execFile(process.execPath, [path.join(__dirname, 'bin', 'browser-history.js')].concat(args), {
+            cwd: __dirname,
+            timeout: 60000,
+        }, (error, stdout, stderr) => {
+            res({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+function testCli() {
+    console.log("***** RUNNING FIXTURE CLI *****");
+    // A visit of a day ago is added to a copy so --since 7d has something to find next to the 2024 fixtures
+    const chromeDir = copyChromeFixture();
+    const dayAgo = (Date.now() - 24 * 60 * 60 * 1000 + 11644473600000) * 1000;
+    const chromeArgs = ['-b', 'chrome', '--path', 'chrome=fixtures/chrome'];
+    return runCli(['history'].concat(chromeArgs)).then(result => {
+        assert.deepStrictEqual([result.code, result.stderr], [0, '']);
+        assert.deepStrictEqual(JSON.parse(result.stdout).map(record => record.url), [
+            'https://old.example.com/', 'https://www.google.com/search?q=hello+world&oq=hello', 'https://example.com/Default',
+        ]);
+        return runCli(['history', '-f', 'csv'].concat(chromeArgs));
+    }).then(result => {
+        assert.strictEqual(result.code, 0);
+        const lines = result.stdout.trim().split('\r\n');
+        assert.strictEqual(lines.length, 4);
+        assert(lines[0].startsWith('browser,engine,profile,'), `Expected a header line, got ${lines[0]}`);
+        assert(lines[1].includes(',https://old.example.com/,2024-02-28T12:00:00.000Z,'));
+        return runSql(path.join(chromeDir, 'Default', 'History'), `
+            INSERT INTO urls (id, url, title, visit_count, last_visit_time) VALUES (5, 'https://recent.example.com/', 'Recent', 1, ${dayAgo});
+        `).then(() => runCli(['history', '-b', 'chrome', `--path=chrome=${chromeDir}`, '--since', '7d']));
+    }).then(result => {
+        assert.strictEqual(result.code, 0);
+        assert.deepStrictEqual(JSON.parse(result.stdout).map(record => record.url), ['https://recent.example.com/']);
+        return Promise.all([
+            runCli(['history', '--path', 'chrome']),
+            runCli(['history', '--bogus']),
+            runCli(['history', '-f', 'xml'].concat(chromeArgs)),
+            runCli(['history', '-f', 'sqlite'].concat(chromeArgs)),
+        ]);
+    }).then(results => {
+        assert.deepStrictEqual(results.map(result => [result.code, result.stdout]), [[1, ''], [1, ''], [1, ''], [1, '']]);
+        const messages = [
+            '--path needs a browser and a directory',
+            'Unknown argument: --bogus',
+            'Unknown format: xml',
+            'The sqlite format needs an --output file',
+        ];
+        results.forEach((result, i) => assert(result.stderr.includes(messages[i]), `Expected "${messages[i]}" in ${result.stderr}`));
+        console.log("PASS FIXTURE CLI");
+        return results;
+    }).catch(error => {
+        console.log("***** FAIL FIXTURE CLI *****");
+        return Promise.reject(error);
+    }).finally(() => {
+        fs.rmSync(chromeDir, { recursive: true, force: true });
+    });
+}
+
+/**
+ * Runs the fixture tests one after the other
+ * @returns {Promise<array>} the results of the tests
+ */
+async function runFixtureTests() {
+    const tests = [
+        testUnboundedHistory,
+        testTimeRange,
+        testMissingRoot,
+        testSourceErrors,
+        testVisits,
+        testDownloads,
+        testSearchTerms,
+        testNewVisits,
+        testNewVisitsCheckpoint,
+        testListProfiles,
+        testDbAccess,
+        testSafariHistory,
+        testSafariBookmarks,
+        testWatchHistory,
+        testWatchHistoryUnreadableProfile,
+        testWatchHistoryAfterClear,
+        testStreamHistory,
+        testStreamHistoryEarlyReturn,
+        testStreamHistoryBadSource,
+        testMozLz4,
+        testSnssSession,
+        testBookmarkTree,
+        testMozillaBookmarks,
+        testBookmarksHtmlRoundTrip,
+        testExportEscaping,
+        testLegacyShapes,
+        testCreateServer,
+        testServerBadSource,
+        testCli,
+        testRegisterBrowser,
+    ];
+    let results = [];
+    for (const test of tests) {
+        results.push(await test());
+    }
+    return results;
+}
+
+module.exports = { runFixtureTests };
+
+if (require.main === module) {
+    runFixtureTests().then(() => {
+        console.log("✅ PASSING ALL FIXTURE TESTS");
+        process.exit(0);
+    }).catch(error => {
+        console.log('❌ FAILING FIXTURE TESTS');
+        console.log(error);
+        process.exit(1);
+    });
+}
@@ -1,66 +1,96 @@
 const CrossLanguageTestRunner = require('./test-runner');
+const { runFixtureTests } = require('./test-fixtures');
 
 let history = require("./index");
 
 function testGetAllHistory() {
     console.log("***** RUNNING GET ALL HISTORY TEST *****");
-    return new Promise(res => {
-        history.getAllHistory(60).then(browsers => {
-            let allHistory = []
-            for(let browser of browsers){
-                for(let record of browser){
-                    allHistory.push(record)
-                }
+    return history.getAllHistory(60).then(browsers => {
+        let allHistory = [];
+        for (let browser of browsers) {
+            for (let record of browser) {
+                allHistory.push(record);
             }
-            console.log("PASS GET ALL HISTORY");
-            console.log(allHistory);
-            res(allHistory);
-        }).catch(error => {
-            console.log("***** FAILED TO GET ALL HISTORY *****");
-            return Promise.reject(error);
-        });
+        }
+        console.log("PASS GET ALL HISTORY");
+        console.log(allHistory);
+        return allHistory;
+    }).catch(error => {
+        console.log("***** FAILED TO GET ALL HISTORY *****");
+        return Promise.reject(error);
+    });
+}
+
+function testGetHistoryTimeRange() {
+    console.log("***** RUNNING GET HISTORY TIME RANGE *****");
+    const until = Date.now();
+    const since = until - 180 * 60 * 1000;
+    return history.getHistory({ since, until }).then(({ records }) => {
+        for (let record of records) {
+            const visitTime = record.utc_time_ms;
+            if (visitTime < since || visitTime >= until) {
+                throw new Error(`Record outside of the requested range: ${record.url} ${record.utc_time}`);
+            }
+        }
+        console.log("PASS GET HISTORY TIME RANGE");
+        console.log(records);
+        return records;
+    }).catch(error => {
+        console.log("***** FAIL TO GET HISTORY TIME RANGE *****");
+        return Promise.reject(error);
+    });
+}
+
+function testListProfiles() {
+    console.log("***** RUNNING LIST PROFILES *****");
+    return history.listProfiles().then(profiles => {
+        for (let profile of profiles) {
+            if (!profile.id || !profile.browser || !profile.path) {
+                throw new Error(`Incomplete profile: ${JSON.stringify(profile)}`);
+            }
+        }
+        console.log("PASS LIST PROFILES");
+        console.log(profiles);
+        return profiles;
+    }).catch(error => {
+        console.log("***** FAIL TO LIST PROFILES *****");
+        return Promise.reject(error);
     });
 }
 
 function testGetChromeOnly() {
     console.log("***** RUNNING GET CHROME ONLY *****");
-    return new Promise(res => {
-        history.getChromeHistory(180).then(history => {
-            console.log("PASS GET CHROME ONLY");
-            console.log(history);
-            res(history);
-        }).catch(error => {
-            console.log("***** FAIL TO GET CHROME ONLY *****");
-            return Promise.reject(error);
-        });
+    return history.getChromeHistory(180).then(history => {
+        console.log("PASS GET CHROME ONLY");
+        console.log(history);
+        return history;
+    }).catch(error => {
+        console.log("***** FAIL TO GET CHROME ONLY *****");
+        return Promise.reject(error);
     });
 }
 
 function testFireFoxOnly() {
     console.log("***** RUNNING GET FIREFOX ONLY *****");
-    return new Promise(res => {
-        history.getFirefoxHistory(180).then(history => {
-            console.log("PASS GET FIREFOX ONLY");
-            console.log(history);
-            res(history);
-        }).catch(error => {
-            console.log("***** FAIL TO GET FIREFOX ONLY *****");
-            return Promise.reject(error);
-        });
+    return history.getFirefoxHistory(180).then(history => {
+        console.log("PASS GET FIREFOX ONLY");
+        console.log(history);
+        return history;
+    }).catch(error => {
+        console.log("***** FAIL TO GET FIREFOX ONLY *****");
+        return Promise.reject(error);
     });
 }
 
 function testMicrosoftEdgeOnly() {
     console.log("***** RUNNING GET MICROSOFT EDGE ONLY *****");
-    return new Promise(res => {
-        history.getMicrosoftEdge(180).then(history => {
-            console.log("PASS GET MICROSOFT EDGE ONLY");
-            console.log(history);
-            res(history);
-        }).catch(error => {
-            console.log("***** FAIL TO GET MICROSOFT EDGE ONLY *****");
-            return Promise.reject(error);
-        });
+    return history.getMicrosoftEdge(180).then(history => {
+        console.log("PASS GET MICROSOFT EDGE ONLY");
+        console.log(history);
+        return history;
+    }).catch(error => {
+        console.log("***** FAIL TO GET MICROSOFT EDGE ONLY *****");
+        return Promise.reject(error);
     });
 }
 
@@ -86,6 +116,8 @@ function showHelp() {
           --python-only, -p       Run only Python version tests
           --js-only, -j           Run only JavaScript version tests (default)
           --help, -h              Show this help message
+
+        The fixture tests in test-fixtures.js run with the JavaScript tests.
         
         Examples:
           node test.js                    # Run original JS tests
@@ -106,6 +138,8 @@ async function main() {
         console.log("🔄 Running cross-language comparison tests...");
         const runner = new CrossLanguageTestRunner();
         await runner.runAll();
+        await runFixtureTests();
+        console.log("✅ PASSING ALL FIXTURE TESTS");
         return;
     }
 
@@ -123,6 +157,9 @@ async function main() {
         testFireFoxOnly(),
         testMicrosoftEdgeOnly(),
         testGetAllHistory(),
+        testGetHistoryTimeRange(),
+        testListProfiles(),
+        runFixtureTests(),
     ];
 
     Promise.all(tests).then(() => {
@@ -0,0 +1,84 @@
+/**
+ * Converts between the timestamps browsers store and the ones records carry. Every time in a
+ * record is an ISO 8601 string in UTC, e.g. "2024-01-31T13:45:00.000Z", next to the same time in
+ * epoch milliseconds in a field of the same name ending in _ms.
+ */
+
+// Milliseconds between the Windows epoch (1601-01-01) used by Chrome and the unix epoch
+const CHROME_EPOCH_OFFSET_MS = 11644473600000;
+// Milliseconds between the unix epoch and the Core Data epoch (2001-01-01) used by Maxthon and Safari
+const CORE_DATA_EPOCH_OFFSET_MS = 978307200000;
+
+// Chrome stores timestamps in microseconds since 1601-01-01
+function toChromeTime(epochMs) {
+    return (epochMs + CHROME_EPOCH_OFFSET_MS) * 1000;
+}
+
+// Firefox stores timestamps in microseconds since 1970-01-01
+function toMozillaTime(epochMs) {
+    return epochMs * 1000;
+}
+
+// Maxthon and Safari store timestamps in seconds since 2001-01-01
+function toCoreDataTime(epochMs) {
+    return (epochMs - CORE_DATA_EPOCH_OFFSET_MS) / 1000;
+}
+
+/**
+ * Converts a Chrome timestamp to epoch milliseconds. Chrome writes 0 for times that were never
+ * set and older versions store monotonic clock values in places, both come back as null.
+ * The Bookmarks file holds the timestamps as strings.
+ * @param chromeTime
+ * @returns {number|null}
+ */
+function chromeTimeToEpochMs(chromeTime) {
+    const epochMs = Math.floor(Number(chromeTime) / 1000 - CHROME_EPOCH_OFFSET_MS);
+    return epochMs > 0 ? epochMs : null;
+}
+
+// Converts a Firefox timestamp to epoch milliseconds, null when it was never set
+function mozillaTimeToEpochMs(mozillaTime) {
+    const epochMs = Math.floor(Number(mozillaTime) / 1000);
+    return epochMs > 0 ? epochMs : null;
+}
+
+// SQL turning a column of Chrome timestamps into epoch milliseconds, times never set into NULL
+function chromeEpochMsSql(column) {
+    return `CASE WHEN ${column} > 0 THEN ${column} / 1000 - ${CHROME_EPOCH_OFFSET_MS} END`;
+}
+
+// SQL turning a column of Firefox timestamps into epoch milliseconds, times never set into NULL
+function mozillaEpochMsSql(column) {
+    return `CASE WHEN ${column} > 0 THEN ${column} / 1000 END`;
+}
+
+// SQL turning a column of Maxthon or Safari timestamps, seconds as floating point, into epoch milliseconds
+function coreDataEpochMsSql(column) {
+    return `CAST(round(${column} * 1000) AS INTEGER) + ${CORE_DATA_EPOCH_OFFSET_MS}`;
+}
+
+/**
+ * Formats epoch milliseconds as an ISO string in UTC, the format of every time in the records
+ * @param epochMs
+ * @returns {String|null}
+ */
+function toIsoTime(epochMs) {
+    if (epochMs === null || epochMs === undefined || !Number.isFinite(epochMs)) {
+        return null;
+    }
+    return new Date(epochMs).toISOString();
+}
+
+module.exports = {
+    CHROME_EPOCH_OFFSET_MS,
+    CORE_DATA_EPOCH_OFFSET_MS,
+    toChromeTime,
+    toMozillaTime,
+    toCoreDataTime,
+    chromeTimeToEpochMs,
+    mozillaTimeToEpochMs,
+    chromeEpochMsSql,
+    mozillaEpochMsSql,
+    coreDataEpochMsSql,
+    toIsoTime
+};
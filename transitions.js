@@ -0,0 +1,65 @@
+/**
+ * Decodes the browser specific visit transition values into one set of names:
+ * link, typed, bookmark, reload, redirect, subframe, generated, auto_toplevel,
+ * form_submit, keyword, download and other.
+ */
+
+// Chrome core transition types, the lower byte of visits.transition (ui::PageTransition)
+const CHROME_CORE_TRANSITIONS = [
+    "link",             // LINK
+    "typed",            // TYPED
+    "bookmark",         // AUTO_BOOKMARK
+    "subframe",         // AUTO_SUBFRAME
+    "subframe",         // MANUAL_SUBFRAME
+    "generated",        // GENERATED
+    "auto_toplevel",    // AUTO_TOPLEVEL
+    "form_submit",      // FORM_SUBMIT
+    "reload",           // RELOAD
+    "keyword",          // KEYWORD
+    "keyword",          // KEYWORD_GENERATED
+];
+
+const CHROME_CORE_MASK = 0xFF;
+const CHROME_CLIENT_REDIRECT = 0x40000000;
+const CHROME_SERVER_REDIRECT = 0x80000000;
+
+// Firefox moz_historyvisits.visit_type values (nsINavHistoryService TRANSITION_*)
+const MOZILLA_TRANSITIONS = {
+    1: "link",          // TRANSITION_LINK
+    2: "typed",         // TRANSITION_TYPED
+    3: "bookmark",      // TRANSITION_BOOKMARK
+    4: "subframe",      // TRANSITION_EMBED
+    5: "redirect",      // TRANSITION_REDIRECT_PERMANENT
+    6: "redirect",      // TRANSITION_REDIRECT_TEMPORARY
+    7: "download",      // TRANSITION_DOWNLOAD
+    8: "subframe",      // TRANSITION_FRAMED_LINK
+    9: "reload",        // TRANSITION_RELOAD
+};
+
+/**
+ * Decodes a Chrome visits.transition value. Visits reached through a client or server
+ * redirect are reported as "redirect" whatever their core type is.
+ * @param transition
+ * @returns {String}
+ */
+function decodeChromeTransition(transition) {
+    // Chrome stores the transition as a signed 32 bit integer, the bitwise operators work on those bits
+    if ((transition & (CHROME_CLIENT_REDIRECT | CHROME_SERVER_REDIRECT)) !== 0) {
+        return "redirect";
+    }
+    return CHROME_CORE_TRANSITIONS[transition & CHROME_CORE_MASK] || "other";
+}
+
+/**
+ * Decodes a Firefox moz_historyvisits.visit_type value.
+ * @param visitType
+ * @returns {String}
+ */
+function decodeMozillaTransition(visitType) {
+    return MOZILLA_TRANSITIONS[visitType] || "other";
+}
+
+module.exports = {
+    decodeChromeTransition,
+    decodeMozillaTransition
+};